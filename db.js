@@ -47,23 +47,116 @@ export function initDb() {
     CREATE INDEX IF NOT EXISTS idx_tasks_user ON tasks(user_id);
     CREATE INDEX IF NOT EXISTS idx_tasks_created ON tasks(created_at);
 
+    CREATE TABLE IF NOT EXISTS settings (
+      key TEXT PRIMARY KEY,
+      value TEXT NOT NULL,
+      updated_at INTEGER NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS providers (
+      name TEXT PRIMARY KEY,
+      base_url TEXT NOT NULL,
+      api_key TEXT NOT NULL,
+      models TEXT NOT NULL,
+      created_by INTEGER,
+      created_at INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL
+    );
+
     CREATE TABLE IF NOT EXISTS allowed_users (
       user_id INTEGER PRIMARY KEY,
       added_by INTEGER,
       added_at INTEGER NOT NULL
     );
 
+    CREATE TABLE IF NOT EXISTS allowed_groups (
+      chat_id INTEGER PRIMARY KEY,
+      title TEXT,
+      added_by INTEGER,
+      added_at INTEGER NOT NULL
+    );
+
     CREATE TABLE IF NOT EXISTS skill_usage (
       skill_name TEXT PRIMARY KEY,
       usage_example TEXT NOT NULL,
       description TEXT,
       updated_at INTEGER NOT NULL
     );
+
+    CREATE TABLE IF NOT EXISTS conversations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      session_key TEXT NOT NULL,
+      user_id INTEGER NOT NULL,
+      status TEXT DEFAULT 'active',
+      created_at INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL,
+      archived_at INTEGER,
+      FOREIGN KEY (user_id) REFERENCES users(user_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_conversations_key ON conversations(session_key, status);
+    CREATE INDEX IF NOT EXISTS idx_conversations_user ON conversations(user_id);
+
+    CREATE TABLE IF NOT EXISTS messages (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      conversation_id INTEGER NOT NULL,
+      role TEXT NOT NULL,
+      content TEXT NOT NULL,
+      created_at INTEGER NOT NULL,
+      FOREIGN KEY (conversation_id) REFERENCES conversations(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_messages_conversation ON messages(conversation_id);
+
+    CREATE TABLE IF NOT EXISTS exchanges (
+      chat_id INTEGER NOT NULL,
+      message_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      prompt TEXT NOT NULL,
+      answer TEXT,
+      created_at INTEGER NOT NULL,
+      PRIMARY KEY (chat_id, message_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_exchanges_created ON exchanges(created_at);
   `);
 
+  // 旧库升级：为已存在的表补充新列
+  ensureColumns('users', {
+    model: 'TEXT',
+    thinking_level: "TEXT DEFAULT 'off'",
+    // 配额：NULL 使用默认配额，0 不限
+    quota_tasks_day: 'INTEGER',
+    quota_tokens_month: 'INTEGER',
+    quota_cost_month: 'REAL',
+    quota_task_seconds: 'INTEGER',
+  });
+  ensureColumns('tasks', {
+    model: 'TEXT',
+    input_tokens: 'INTEGER DEFAULT 0',
+    output_tokens: 'INTEGER DEFAULT 0',
+    cache_read_tokens: 'INTEGER DEFAULT 0',
+    cache_write_tokens: 'INTEGER DEFAULT 0',
+    cost: 'REAL DEFAULT 0',
+    fallback_from: 'TEXT',
+  });
+  // 文档提取出的文本（保存在原文件旁边，计入存储用量）
+  ensureColumns('files', {
+    text_path: 'TEXT',
+    text_summary: 'TEXT',
+    text_bytes: 'INTEGER DEFAULT 0',
+  });
+
   return db;
 }
 
+function ensureColumns(table, columns) {
+  const existing = new Set(db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name));
+  for (const [name, type] of Object.entries(columns)) {
+    if (!existing.has(name)) db.exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${type}`);
+  }
+}
+
 export function getDb() { return db; }
 
 // ==================== Users ====================
@@ -96,9 +189,22 @@ export const userRepo = {
     `).run(Date.now(), userId);
   },
 
+  setModel(userId, modelKey) {
+    stmt('user_set_model', 'UPDATE users SET model = ? WHERE user_id = ?').run(modelKey, userId);
+  },
+
+  setThinkingLevel(userId, level) {
+    stmt('user_set_thinking', 'UPDATE users SET thinking_level = ? WHERE user_id = ?').run(level, userId);
+  },
+
+  // column 只能是配额列或 storage_limit（由 quota.js 校验）
+  setQuota(userId, column, value) {
+    stmt(`user_set_${column}`, `UPDATE users SET ${column} = ? WHERE user_id = ?`).run(value, userId);
+  },
+
   updateStorage(userId) {
     const row = stmt('user_storage_sum', `
-      SELECT COALESCE(SUM(size_bytes), 0) as total FROM files WHERE user_id = ?
+      SELECT COALESCE(SUM(size_bytes + text_bytes), 0) as total FROM files WHERE user_id = ?
     `).get(userId);
     stmt('user_update_storage', `
       UPDATE users SET storage_bytes = ? WHERE user_id = ?
@@ -115,19 +221,30 @@ export const userRepo = {
     const recentTasks = stmt('user_recent_tasks', `
       SELECT COUNT(*) as cnt FROM tasks WHERE user_id = ? AND created_at > ?
     `).get(userId, Date.now() - 24 * 60 * 60 * 1000).cnt;
-    return { ...user, fileCount, tasksToday: recentTasks };
+    const usage = stmt('user_usage_sum', `
+      SELECT
+        COALESCE(SUM(input_tokens), 0) as inputTokens,
+        COALESCE(SUM(output_tokens), 0) as outputTokens,
+        COALESCE(SUM(cache_read_tokens + cache_write_tokens), 0) as cacheTokens,
+        COALESCE(SUM(cost), 0) as cost
+      FROM tasks WHERE user_id = ?
+    `).get(userId);
+    return { ...user, fileCount, tasksToday: recentTasks, usage };
   },
 
   deleteAllData(userId) {
     const files = stmt('user_files_list', `
-      SELECT file_path FROM files WHERE user_id = ?
+      SELECT file_path, text_path FROM files WHERE user_id = ?
     `).all(userId);
     for (const f of files) {
       try { unlinkSync(f.file_path); } catch {}
+      if (f.text_path) try { unlinkSync(f.text_path); } catch {}
     }
     const doDelete = db.transaction((uid) => {
       stmt('user_files_del', 'DELETE FROM files WHERE user_id = ?').run(uid);
       stmt('user_tasks_del', 'DELETE FROM tasks WHERE user_id = ?').run(uid);
+      conversationRepo.deletePrivateByUser(uid);
+      exchangeRepo.deleteByUser(uid);
       stmt('user_reset', `
         UPDATE users SET task_count = 0, storage_bytes = 0 WHERE user_id = ?
       `).run(uid);
@@ -141,11 +258,12 @@ export const userRepo = {
 
 export const fileRepo = {
   add(userId, fileName, filePath, sizeBytes) {
-    stmt('file_add', `
+    const { lastInsertRowid } = stmt('file_add', `
       INSERT INTO files (user_id, file_name, file_path, size_bytes, created_at)
       VALUES (?, ?, ?, ?, ?)
     `).run(userId, fileName, filePath, sizeBytes, Date.now());
     userRepo.updateStorage(userId);
+    return Number(lastInsertRowid);
   },
 
   listByUser(userId) {
@@ -154,10 +272,46 @@ export const fileRepo = {
     `).all(userId);
   },
 
+  get(id) {
+    return stmt('file_get', 'SELECT * FROM files WHERE id = ?').get(id);
+  },
+
+  countByUser(userId) {
+    return stmt('file_count', 'SELECT COUNT(*) as cnt FROM files WHERE user_id = ?').get(userId).cnt;
+  },
+
+  listPage(userId, offset, limit) {
+    return stmt('file_list_page', `
+      SELECT * FROM files WHERE user_id = ? ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?
+    `).all(userId, limit, offset);
+  },
+
+  setText(id, textPath, summary, textBytes) {
+    const file = this.get(id);
+    stmt('file_set_text', 'UPDATE files SET text_path = ?, text_summary = ?, text_bytes = ? WHERE id = ?')
+      .run(textPath, summary, textBytes, id);
+    if (file) userRepo.updateStorage(file.user_id);
+  },
+
+  rename(id, fileName, filePath) {
+    stmt('file_rename', 'UPDATE files SET file_name = ?, file_path = ? WHERE id = ?').run(fileName, filePath, id);
+  },
+
+  remove(id) {
+    const file = this.get(id);
+    if (!file) return false;
+    try { unlinkSync(file.file_path); } catch {}
+    if (file.text_path) try { unlinkSync(file.text_path); } catch {}
+    stmt('file_del', 'DELETE FROM files WHERE id = ?').run(id);
+    userRepo.updateStorage(file.user_id);
+    return true;
+  },
+
   deleteByUser(userId) {
     const files = this.listByUser(userId);
     for (const f of files) {
       try { unlinkSync(f.file_path); } catch {}
+      if (f.text_path) try { unlinkSync(f.text_path); } catch {}
     }
     stmt('file_del_user', 'DELETE FROM files WHERE user_id = ?').run(userId);
     userRepo.updateStorage(userId);
@@ -168,13 +322,64 @@ export const fileRepo = {
 // ==================== Tasks ====================
 
 export const taskRepo = {
-  add(userId, message, durationMs, status = 'ok') {
+  // usage: { model, input, output, cacheRead, cacheWrite, cost, fallbackFrom }
+  add(userId, message, durationMs, status = 'ok', usage = null) {
     stmt('task_add', `
-      INSERT INTO tasks (user_id, message, duration_ms, status, created_at)
-      VALUES (?, ?, ?, ?, ?)
-    `).run(userId, message?.slice(0, 200), durationMs, status, Date.now());
+      INSERT INTO tasks (user_id, message, duration_ms, status, created_at,
+        model, input_tokens, output_tokens, cache_read_tokens, cache_write_tokens, cost, fallback_from)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      userId, message?.slice(0, 200), durationMs, status, Date.now(),
+      usage?.model || null, usage?.input || 0, usage?.output || 0,
+      usage?.cacheRead || 0, usage?.cacheWrite || 0, usage?.cost || 0,
+      usage?.fallbackFrom || null,
+    );
     userRepo.incrementTaskCount(userId);
   },
+
+  // 某用户自 since 起的任务数、token 数（输入 + 输出）和费用
+  usageSince(userId, since) {
+    return stmt('task_usage_since', `
+      SELECT COUNT(*) as tasks,
+        COALESCE(SUM(input_tokens + output_tokens), 0) as tokens,
+        COALESCE(SUM(cost), 0) as cost
+      FROM tasks WHERE user_id = ? AND created_at > ?
+    `).get(userId, since);
+  },
+
+  // 用量报表：按天、用户、模型汇总（日期按北京时间）
+  usageReport(since) {
+    const sums = `
+      COUNT(*) as tasks,
+      COALESCE(SUM(input_tokens), 0) as inputTokens,
+      COALESCE(SUM(output_tokens), 0) as outputTokens,
+      COALESCE(SUM(cache_read_tokens + cache_write_tokens), 0) as cacheTokens,
+      COALESCE(SUM(cost), 0) as cost
+    `;
+    const total = stmt('task_usage_total', `
+      SELECT ${sums} FROM tasks WHERE created_at > ?
+    `).get(since);
+    const byDay = stmt('task_usage_day', `
+      SELECT date(created_at / 1000, 'unixepoch', '+8 hours') as day, ${sums}
+      FROM tasks WHERE created_at > ? GROUP BY day ORDER BY day DESC
+    `).all(since);
+    const byUser = stmt('task_usage_user', `
+      SELECT t.user_id, u.username, ${sums}
+      FROM tasks t LEFT JOIN users u ON t.user_id = u.user_id
+      WHERE t.created_at > ? GROUP BY t.user_id ORDER BY cost DESC, tasks DESC
+    `).all(since);
+    const byModel = stmt('task_usage_model', `
+      SELECT COALESCE(model, '未知') as model, ${sums}
+      FROM tasks WHERE created_at > ? GROUP BY model ORDER BY cost DESC, tasks DESC
+    `).all(since);
+    const fallbacks = stmt('task_usage_fallback', `
+      SELECT fallback_from, COALESCE(model, '未知') as model, COUNT(*) as tasks,
+        SUM(CASE WHEN status = 'ok' THEN 1 ELSE 0 END) as succeeded
+      FROM tasks WHERE created_at > ? AND fallback_from IS NOT NULL
+      GROUP BY fallback_from, model ORDER BY tasks DESC
+    `).all(since);
+    return { total, byDay, byUser, byModel, fallbacks };
+  },
 };
 
 // ==================== DB Stats ====================
@@ -188,6 +393,55 @@ export function dbStats() {
   return { sizeMB, userCount, taskCount, fileCount };
 }
 
+// ==================== Settings ====================
+
+export const settingsRepo = {
+  get(key, defaultValue = null) {
+    const row = stmt('setting_get', 'SELECT value FROM settings WHERE key = ?').get(key);
+    return row ? JSON.parse(row.value) : defaultValue;
+  },
+
+  set(key, value) {
+    stmt('setting_set', `
+      INSERT INTO settings (key, value, updated_at) VALUES (?, ?, ?)
+      ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+    `).run(key, JSON.stringify(value), Date.now());
+  },
+};
+
+// ==================== Runtime Providers ====================
+
+function parseProvider(row) {
+  return row ? { ...row, models: JSON.parse(row.models) } : null;
+}
+
+export const providerRepo = {
+  list() {
+    return stmt('provider_list', 'SELECT * FROM providers ORDER BY created_at').all().map(parseProvider);
+  },
+
+  get(name) {
+    return parseProvider(stmt('provider_get', 'SELECT * FROM providers WHERE name = ?').get(name));
+  },
+
+  upsert({ name, base_url, api_key, models }, createdBy) {
+    const now = Date.now();
+    stmt('provider_upsert', `
+      INSERT INTO providers (name, base_url, api_key, models, created_by, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(name) DO UPDATE SET
+        base_url = excluded.base_url,
+        api_key = excluded.api_key,
+        models = excluded.models,
+        updated_at = excluded.updated_at
+    `).run(name, base_url, api_key, JSON.stringify(models), createdBy || null, now, now);
+  },
+
+  remove(name) {
+    stmt('provider_del', 'DELETE FROM providers WHERE name = ?').run(name);
+  },
+};
+
 // ==================== Allowed Users ====================
 
 export const allowRepo = {
@@ -215,6 +469,29 @@ export const allowRepo = {
   },
 };
 
+// ==================== Allowed Groups ====================
+
+export const groupRepo = {
+  add(chatId, title, addedBy) {
+    stmt('group_add', `
+      INSERT INTO allowed_groups (chat_id, title, added_by, added_at) VALUES (?, ?, ?, ?)
+      ON CONFLICT(chat_id) DO UPDATE SET title = COALESCE(excluded.title, title)
+    `).run(chatId, title, addedBy, Date.now());
+  },
+
+  remove(chatId) {
+    return stmt('group_del', 'DELETE FROM allowed_groups WHERE chat_id = ?').run(chatId).changes > 0;
+  },
+
+  has(chatId) {
+    return !!stmt('group_has', 'SELECT 1 FROM allowed_groups WHERE chat_id = ?').get(chatId);
+  },
+
+  list() {
+    return stmt('group_list', 'SELECT * FROM allowed_groups ORDER BY added_at DESC').all();
+  },
+};
+
 // ==================== Skill Usage Cache ====================
 
 export const skillUsageRepo = {
@@ -250,6 +527,140 @@ export const skillUsageRepo = {
   },
 };
 
+// ==================== Conversations ====================
+
+export const conversationRepo = {
+  // 获取会话当前的活跃对话
+  getActive(sessionKey) {
+    return stmt('conv_get_active', `
+      SELECT * FROM conversations WHERE session_key = ? AND status = 'active'
+      ORDER BY id DESC LIMIT 1
+    `).get(sessionKey);
+  },
+
+  // 获取或创建活跃对话，返回对话 ID
+  ensureActive(sessionKey, userId) {
+    const active = this.getActive(sessionKey);
+    if (active) return active.id;
+    const now = Date.now();
+    return stmt('conv_create', `
+      INSERT INTO conversations (session_key, user_id, status, created_at, updated_at)
+      VALUES (?, ?, 'active', ?, ?)
+    `).run(sessionKey, userId, now, now).lastInsertRowid;
+  },
+
+  addMessage(conversationId, message) {
+    const now = Date.now();
+    stmt('conv_msg_add', `
+      INSERT INTO messages (conversation_id, role, content, created_at)
+      VALUES (?, ?, ?, ?)
+    `).run(conversationId, message.role, JSON.stringify(message), now);
+    stmt('conv_touch', 'UPDATE conversations SET updated_at = ? WHERE id = ?').run(now, conversationId);
+  },
+
+  // 用新的消息列表替换对话历史（上下文压缩后调用）
+  replaceMessages(conversationId, messages) {
+    const doReplace = db.transaction((cid, list) => {
+      stmt('conv_msg_clear', 'DELETE FROM messages WHERE conversation_id = ?').run(cid);
+      for (const message of list) this.addMessage(cid, message);
+    });
+    doReplace(conversationId, messages);
+  },
+
+  // 按顺序读取对话消息（已反序列化）
+  listMessages(conversationId) {
+    return stmt('conv_msg_list', `
+      SELECT content FROM messages WHERE conversation_id = ? ORDER BY id ASC
+    `).all(conversationId).map(row => JSON.parse(row.content));
+  },
+
+  // 最后一条消息的 ID，没有消息时为 0
+  lastMessageId(conversationId) {
+    return stmt('conv_msg_last', `
+      SELECT COALESCE(MAX(id), 0) as id FROM messages WHERE conversation_id = ?
+    `).get(conversationId).id;
+  },
+
+  // 删除某条消息之后的所有消息（撤销最近的回合）
+  // 该消息已不存在（期间发生了上下文压缩）时不删除，返回 false
+  truncateAfter(conversationId, messageId) {
+    if (messageId && !stmt('conv_msg_has', 'SELECT 1 FROM messages WHERE id = ? AND conversation_id = ?').get(messageId, conversationId)) {
+      return false;
+    }
+    stmt('conv_msg_truncate', 'DELETE FROM messages WHERE conversation_id = ? AND id > ?').run(conversationId, messageId);
+    return true;
+  },
+
+  // 归档活跃对话（/clear），返回是否有对话被归档
+  archive(sessionKey) {
+    const now = Date.now();
+    return stmt('conv_archive', `
+      UPDATE conversations SET status = 'archived', archived_at = ?, updated_at = ?
+      WHERE session_key = ? AND status = 'active'
+    `).run(now, now, sessionKey).changes > 0;
+  },
+
+  // 群（含各话题 ${chatId}_t<话题ID>）中有活跃对话的会话
+  listGroupSessionKeys(chatId) {
+    return stmt('conv_group_keys', `
+      SELECT DISTINCT session_key FROM conversations
+      WHERE status = 'active' AND (session_key = ? OR session_key LIKE ? ESCAPE '\\')
+    `).all(String(chatId), `${chatId}\\_t%`).map(row => row.session_key);
+  },
+
+  // 用户私聊（${userId}_<chatId>）中有活跃对话的会话
+  listPrivateSessionKeys(userId) {
+    return stmt('conv_private_keys', `
+      SELECT DISTINCT session_key FROM conversations
+      WHERE status = 'active' AND session_key LIKE ? ESCAPE '\\'
+    `).all(`${userId}\\_%`).map(row => row.session_key);
+  },
+
+  // 删除用户的私聊对话（${userId}_<chatId>）；用户在群或话题里开始的对话是大家共用的，保留
+  deletePrivateByUser(userId) {
+    const pattern = `${userId}\\_%`;
+    stmt('conv_msg_del_user', `
+      DELETE FROM messages WHERE conversation_id IN (
+        SELECT id FROM conversations WHERE user_id = ? AND session_key LIKE ? ESCAPE '\\'
+      )
+    `).run(userId, pattern);
+    stmt('conv_del_user', `
+      DELETE FROM conversations WHERE user_id = ? AND session_key LIKE ? ESCAPE '\\'
+    `).run(userId, pattern);
+  },
+};
+
+// ==================== Exchanges ====================
+
+// 机器人回答所在的消息 -> 当时的问题，用户回复旧回答时据此找回上下文
+const EXCHANGE_TTL_MS = 30 * 24 * 3600 * 1000;
+const EXCHANGE_TEXT_MAX = 2000;
+
+export const exchangeRepo = {
+  // 记录一次问答，回答分成多条消息时每条都指向同一个问题
+  add(chatId, messageIds, userId, prompt, answer) {
+    const now = Date.now();
+    const doAdd = db.transaction(() => {
+      stmt('exchange_prune', 'DELETE FROM exchanges WHERE created_at < ?').run(now - EXCHANGE_TTL_MS);
+      for (const messageId of messageIds) {
+        stmt('exchange_add', `
+          INSERT OR REPLACE INTO exchanges (chat_id, message_id, user_id, prompt, answer, created_at)
+          VALUES (?, ?, ?, ?, ?, ?)
+        `).run(chatId, messageId, userId, prompt.slice(0, EXCHANGE_TEXT_MAX), answer?.slice(0, EXCHANGE_TEXT_MAX) ?? null, now);
+      }
+    });
+    doAdd();
+  },
+
+  get(chatId, messageId) {
+    return stmt('exchange_get', 'SELECT * FROM exchanges WHERE chat_id = ? AND message_id = ?').get(chatId, messageId);
+  },
+
+  deleteByUser(userId) {
+    stmt('exchange_del_user', 'DELETE FROM exchanges WHERE user_id = ?').run(userId);
+  },
+};
+
 export function closeDb() {
   if (db) db.close();
 }
@@ -2,21 +2,22 @@
  * PI Agent 初始化和执行模块
  */
 
-import { resolve } from 'path';
 import {
-  AuthStorage,
   createAgentSession,
   SessionManager,
-  codingTools,
   DefaultResourceLoader,
   SettingsManager,
-  ModelRegistry,
 } from '@mariozechner/pi-coding-agent';
-import { streamSimple } from '@mariozechner/pi-ai';
-import { AGENT_DIR, USER_DOCS_DIR, TG_MAX_LEN, STREAM_THROTTLE_MS, TYPING_INTERVAL_MS } from './config.js';
-import { getCurrentModel, getCurrentModelName, logApiKeyStatus } from './models.js';
-import { convertToTelegramMarkdown } from './utils.js';
+import { InlineKeyboard } from 'grammy';
+import { AGENT_DIR, USER_DOCS_DIR, TIMEOUT_MS, TG_MAX_LEN, STREAM_THROTTLE_MS, TYPING_INTERVAL_MS, COMPACTION_THRESHOLD, COMPACTION_KEEP_RECENT_TOKENS, MODEL_FALLBACK } from './config.js';
+import { initModelCatalog, getAuthStorage, getModelRegistry, getAvailableModels, getUserModel, getFallbackModels, getModelDisplayName, getDefaultModelName, logApiKeyStatus, calculateCost } from './models.js';
+import { escapeHtml, formatThinkingHtml } from './utils.js';
+import { markdownToHtml, splitMarkdown } from './markdown.js';
 import { scanInstalledSkills, getInstalledSkillsPrompt } from './skills.js';
+import { getSessionTools, getPermissionDenial, getApprovalRejection } from './tools.js';
+import { requestApproval } from './approval.js';
+import { acquireSlot } from './scheduler.js';
+import { userRepo } from '../db.js';
 
 // ==================== 全局共享变量 ====================
 
@@ -32,6 +33,7 @@ function getAdminPrompt() {
     `当前工作目录: ${process.cwd()}`,
     `用户文档目录: ${USER_DOCS_DIR}`,
     '你拥有服务器完整权限：可以通过 bash 执行任意命令、读写编辑任何文件、访问网络（curl/wget）。',
+    `删除文件、覆盖文件、安装软件包、写入 ${USER_DOCS_DIR} 以外的路径等危险操作会先请求管理员确认；被拒绝后不要换方式重试，直接说明未执行。`,
     '',
     '## 回复规则（必须遵守）',
     '- **一次执行**：执行一次命令就返回结果，不要反复尝试不同方式',
@@ -45,6 +47,7 @@ function getAdminPrompt() {
     '## 文件操作规则',
     `- 文件分析范围：${USER_DOCS_DIR} 和 /app/uploads`,
     `- 禁止扫描系统目录`,
+    '- 生成给用户的文件（报告、图表、转换结果等）写入消息中给出的发件目录，任务结束后自动发送；其他位置的已有文件用 send_file 工具发送',
     '',
     installedSkillsPrompt,
     '## 技能扩展规则',
@@ -69,12 +72,14 @@ function getUserPrompt() {
     '- **格式清晰**：适当使用标题、列表等格式',
     '',
     '## 权限',
-    '- 只读命令：ls, cat, grep, find, curl, wget 等',
-    '- 禁止写入、删除、修改操作',
+    '- 只读工具：read, grep, find, ls，以及只读 bash（ls, cat, grep, find, curl, wget -O - 等）',
+    '- 写入、删除、修改类命令会被系统拒绝（Permission denied），被拒绝后直接告诉用户需要联系管理员，不要换方式重试',
+    '- 例外：write 工具可以写入消息中给出的发件目录',
     '',
     '## 文件操作',
     `- 范围：${USER_DOCS_DIR} 和上传文件`,
     '- 禁止扫描系统目录',
+    '- 生成给用户的文件（报告、表格、转换结果等）用 write 写入发件目录，任务结束后自动发送；已有的文件用 send_file 工具发送',
     '',
     installedSkillsPrompt,
     '## 技能',
@@ -86,35 +91,19 @@ function getUserPrompt() {
 // ==================== 初始化 ====================
 
 export async function initPiGlobals() {
-  logApiKeyStatus();
-  
   // 扫描已安装的技能
   scanInstalledSkills();
   
-  const model = getCurrentModel();
-  if (!model) throw new Error('没有可用的模型，请检查 API Key 配置');
-
-  sharedAuth = new AuthStorage(resolve(AGENT_DIR, 'auth.json'));
-  
-  // 设置所有 API Key
-  if (process.env.DEEPSEEK_API_KEY) {
-    sharedAuth.setRuntimeApiKey('deepseek', process.env.DEEPSEEK_API_KEY);
-    console.log('[DEBUG] AuthStorage deepseek key: SET');
-  }
-  if (process.env.OPENAI_API_KEY) {
-    sharedAuth.setRuntimeApiKey('openai', process.env.OPENAI_API_KEY);
-  }
-  if (process.env.GEMINI_API_KEY) {
-    sharedAuth.setRuntimeApiKey('google', process.env.GEMINI_API_KEY);
-  }
-  
-  // 创建 ModelRegistry
-  sharedModelRegistry = new ModelRegistry(sharedAuth);
+  // 模型目录：models.json + 环境变量 Key + 运行时服务商
+  initModelCatalog();
+  logApiKeyStatus();
+  if (!getAvailableModels().length) throw new Error('没有可用的模型，请检查 API Key 配置');
+  sharedAuth = getAuthStorage();
+  sharedModelRegistry = getModelRegistry();
 
-  console.log('[DEBUG] Selected model:', getCurrentModelName());
+  console.log('[DEBUG] Default model:', getDefaultModelName());
 
   sharedSettingsManager = SettingsManager.inMemory({
-    compaction: { enabled: false },
     retry: { enabled: true, maxRetries: 3 },
   });
 
@@ -137,44 +126,104 @@ export async function initPiGlobals() {
 
 // ==================== 创建会话 ====================
 
-export async function createPiSession(admin = false) {
-  const model = getCurrentModel();
+// 按模型上下文窗口生成会话设置（压缩阈值随模型变化，因此每个会话单独一份）
+function createSessionSettings(model) {
+  const contextWindow = model.contextWindow || 0;
+  const thresholdTokens = Math.floor(contextWindow * COMPACTION_THRESHOLD);
+  return SettingsManager.inMemory({
+    compaction: contextWindow > 0
+      ? {
+        enabled: true,
+        reserveTokens: contextWindow - thresholdTokens,
+        // 保留的原文不能超过阈值的一半，否则压缩后立即再次触发
+        keepRecentTokens: Math.min(COMPACTION_KEEP_RECENT_TOKENS, Math.floor(thresholdTokens / 2)),
+      }
+      : { enabled: false },
+    retry: { enabled: true, maxRetries: 3 },
+  });
+}
+
+// session -> { admin, taskContext, thinkingLevel }
+// taskContext 在 runAgent 期间绑定当前任务：ctx 供审批请求找到聊天，outbox 供 write/send_file 工具使用
+const sessionOptions = new WeakMap();
+
+// 用户可选的思考强度（PI 会按模型能力自动降级，不支持推理的模型固定为 off）
+export const THINKING_LEVELS = ['off', 'low', 'medium', 'high'];
+
+export async function createPiSession(admin = false, history = [], userId = null) {
+  // 每个用户使用自己选择的模型和思考强度
+  const model = getUserModel(userId, admin);
+  const thinkingLevel = (userId && userRepo.get(userId)?.thinking_level) || 'off';
   if (!model) throw new Error('没有可用的模型');
   
+  // 从持久化的历史消息重建会话
+  const sessionManager = SessionManager.inMemory();
+  for (const message of history) {
+    sessionManager.appendMessage(message);
+  }
+  
+  // 非管理员只拿到只读工具集（写入仅限任务发件目录），权限由工具本身强制执行
+  // 管理员的危险操作通过当前任务的 ctx 请求确认（runAgent 期间绑定）
+  const taskContext = { ctx: null, outbox: null };
+  const approve = (request, signal) => taskContext.ctx
+    ? requestApproval(taskContext.ctx, request, signal)
+    : Promise.resolve({ approved: false, reason: '当前没有可确认的任务' });
+  const { tools, customTools } = getSessionTools(admin, { approve, getOutbox: () => taskContext.outbox });
+  
   const { session } = await createAgentSession({
     cwd: process.cwd(),
     agentDir: AGENT_DIR,
     model,
-    thinkingLevel: 'off',
-    tools: codingTools,
+    thinkingLevel,
+    tools,
+    customTools,
     authStorage: sharedAuth,
     modelRegistry: sharedModelRegistry,
     resourceLoader: admin ? sharedLoader : sharedUserLoader,
-    sessionManager: SessionManager.inMemory(),
-    settingsManager: sharedSettingsManager,
+    sessionManager,
+    settingsManager: createSessionSettings(model),
   });
   
-  if (model.provider === 'deepseek') {
-    const apiKey = process.env.DEEPSEEK_API_KEY;
-    session.agent.streamFn = (m, context) => streamSimple(m, context, { apiKey });
-  } else {
-    session.agent.streamFn = streamSimple;
-  }
-  
+  sessionOptions.set(session, { admin, taskContext, thinkingLevel });
   return session;
 }
 
+// 切换会话使用的模型（API Key 由 AuthStorage 按服务商提供），不支持推理的模型关闭思考
+function applyModel(session, model, thinkingLevel) {
+  session.agent.setModel(model);
+  session.agent.setThinkingLevel(model.reasoning ? thinkingLevel : 'off');
+}
+
 // ==================== 运行 Agent ====================
 
 // 最大工具执行轮次（防止无限循环）
 const MAX_TOOL_TURNS = 5;
+// 流式消息的 HTML 长度上限，留出工具状态和光标的位置
+const STREAM_MAX_LEN = TG_MAX_LEN - 100;
+
+// 可以换模型重试的错误：限流/配额和服务端错误
+function isFallbackError(error) {
+  return !!error && (error.status === 429 || error.status >= 500);
+}
 
-export async function runAgent(session, userText, progress, ctx) {
+/**
+ * 运行一轮对话并流式输出到 Telegram
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - 取消任务（排队等待或运行中），运行中取消和超时都以 AbortError 结束
+ * @param {number} [options.timeoutMs] - 任务开始运行后的超时时间（不含排队时间），0 表示不限
+ * @param {object} [options.outbox] - 本次任务的发件箱（见 outbox.js）
+ * @param {number} [options.reuseMsgId] - 用这条已有的消息作为流式消息（修改提问后重新处理时编辑原来的回答）
+ */
+export async function runAgent(session, userText, progress, ctx, images = [], { signal, timeoutMs = TIMEOUT_MS, outbox = null, reuseMsgId = null } = {}) {
   let fullResponse = '';
+  let thinkingText = ''; // 推理模型的思考过程（只显示，不计入回复）
+  let inThinkTag = false; // 正文中的 <think> 标签内
+  let pendingTag = ''; // 片段结尾可能是半截标签，等下一片段再判断
   let toolName = '';
   let lastError = null;
   
   let streamMsgId = null;
+  const streamMsgIds = []; // 本次回复用到的所有流式消息（回复较长时有多条）
   let lastDisplayedText = '';
   let updateTimer = null;
   let typingTimer = null;
@@ -182,22 +231,52 @@ export async function runAgent(session, userText, progress, ctx) {
   let loadingFrame = 0;
   let isUpdating = false;
   let toolTurnCount = 0; // 工具执行轮次计数
+  let compactionRetry = false; // 上下文溢出压缩后 PI 会自动续跑
+  let turnStart = 0; // 当前回合输出在 fullResponse 中的起点
+  let originalModel = null; // 发生回退时用户原本的模型
+  let releaseSlot = null; // 全局并发名额
+  let timeoutTimer = null;
+  let timedOut = false;
+  const usage = { model: session.model?.id || null, input: 0, output: 0, cacheRead: 0, cacheWrite: 0, cost: 0, fallbackFrom: null };
   const chatId = ctx.chat?.id;
+  const { admin = false, taskContext = {}, thinkingLevel = 'off' } = sessionOptions.get(session) || {};
   
   // 加载动画帧
   const loadingFrames = ['💭 思考中', '💭 思考中.', '💭 思考中..', '💭 思考中...'];
 
   const initStreamMsg = async () => {
     if (streamMsgId) return;
+    if (reuseMsgId) {
+      try {
+        await ctx.api.editMessageText(chatId, reuseMsgId, loadingFrames[0]);
+        streamMsgId = reuseMsgId;
+        streamMsgIds.push(streamMsgId);
+        return;
+      } catch {}
+    }
     try {
       const msg = await ctx.reply(loadingFrames[0]);
       streamMsgId = msg.message_id;
+      streamMsgIds.push(streamMsgId);
       console.log(`[Stream] 流式消息已初始化, ID: ${streamMsgId}`);
     } catch (err) {
       console.log(`[Stream] 初始化失败: ${err.message}`);
     }
   };
 
+  // 等待全局并发名额，排队时在流式消息里显示当前位置
+  const waitForSlot = () => acquireSlot({
+    admin,
+    provider: session.model?.provider,
+    signal,
+    onPosition: (position) => {
+      if (!streamMsgId) return;
+      ctx.api.editMessageText(chatId, streamMsgId, `⏳ 排队中，前面还有 ${position - 1} 个任务...`, {
+        reply_markup: new InlineKeyboard().text('🛑 取消任务', 'cancel_task'),
+      }).catch(() => {});
+    },
+  });
+
   const sendTyping = () => {
     // 不等待，避免阻塞
     ctx.api.sendChatAction(chatId, 'typing').catch(() => {});
@@ -228,14 +307,11 @@ export async function runAgent(session, userText, progress, ctx) {
       text = `🔧 ${toolName}...`;
     }
     
-    // 如果已有内容，在内容后面显示加载状态
-    if (fullResponse.trim()) {
-      if (toolName) {
-        text = fullResponse + `\n\n🔧 ${toolName}...`;
-      } else {
-        return; // 有内容且没有工具执行时，不更新动画
-      }
-    }
+    // 正在输出思考过程时由 doUpdate 显示
+    if (thinkingText && !fullResponse.trim() && !toolName) return;
+    
+    // 已有内容时由 doUpdate 显示（包括工具状态）
+    if (fullResponse.trim()) return;
     
     try {
       await ctx.api.editMessageText(chatId, streamMsgId, text);
@@ -256,6 +332,86 @@ export async function runAgent(session, userText, progress, ctx) {
 
   let lastSentText = '';
   let rateLimitedUntil = 0; // 429 限流退避时间
+
+  const markRateLimited = (err) => {
+    if (!err.message?.includes('429') && !err.message?.includes('Too Many Requests')) return false;
+    const retryMatch = err.message.match(/retry after (\d+)/);
+    const retryAfter = retryMatch ? parseInt(retryMatch[1]) * 1000 : 30000;
+    rateLimitedUntil = Date.now() + retryAfter;
+    console.log(`[Stream] 429 限流，暂停 ${retryAfter / 1000} 秒`);
+    return true;
+  };
+
+  // 回复超过一条消息时，前面的部分定稿在当前消息，其余内容转到新消息继续输出
+  let streamStart = 0; // fullResponse 中已定稿到之前消息的长度
+  let streamPrefix = ''; // 上一条消息在代码块中间结束时，新消息开头重新打开代码块
+  const streamText = () => streamPrefix + fullResponse.slice(Math.min(streamStart, fullResponse.length));
+
+  // 部分模型把思考过程以 <think> 标签写在正文里，接收时就分到 thinkingText，不进入回复
+  const appendText = (delta) => {
+    let text = pendingTag + delta;
+    pendingTag = '';
+    for (;;) {
+      const tag = inThinkTag ? '</think>' : '<think>';
+      const index = text.indexOf(tag);
+      if (index < 0) break;
+      if (inThinkTag) thinkingText += text.slice(0, index);
+      else fullResponse += text.slice(0, index);
+      text = text.slice(index + tag.length);
+      if (inThinkTag) text = text.trimStart();
+      inThinkTag = !inThinkTag;
+    }
+    const tag = inThinkTag ? '</think>' : '<think>';
+    for (let n = Math.min(tag.length - 1, text.length); n > 0; n--) {
+      if (tag.startsWith(text.slice(-n))) {
+        pendingTag = text.slice(-n);
+        text = text.slice(0, -n);
+        break;
+      }
+    }
+    if (inThinkTag) thinkingText += text;
+    else fullResponse += text;
+  };
+
+  const rollover = async ({ force = false } = {}) => {
+    if (!streamMsgId || markdownToHtml(streamText()).length <= STREAM_MAX_LEN) return;
+    let chunks = splitMarkdown(streamText(), STREAM_MAX_LEN);
+    while (chunks.length > 1) {
+      // 收尾时等限流结束，避免定稿失败丢失内容
+      const wait = rateLimitedUntil - Date.now();
+      if (wait > 0) {
+        if (!force) return;
+        await new Promise(r => setTimeout(r, wait));
+      }
+      const [chunk] = chunks;
+      // 第一段只有重新打开的代码块时位置不会前进，继续转到新消息会无限循环
+      const advance = chunk.end - streamPrefix.length;
+      if (advance <= 0) {
+        console.log('[Stream] 无法切分当前内容，不再转到新消息');
+        return;
+      }
+      try {
+        await ctx.api.editMessageText(chatId, streamMsgId, markdownToHtml(chunk.text), { parse_mode: 'HTML' });
+      } catch (err) {
+        if (markRateLimited(err)) continue;
+        try { await ctx.api.editMessageText(chatId, streamMsgId, chunk.text); } catch {}
+      }
+      try {
+        const msg = await ctx.reply('▌');
+        streamMsgId = msg.message_id;
+        streamMsgIds.push(streamMsgId);
+      } catch (err) {
+        markRateLimited(err);
+        console.log(`[Stream] 新消息发送失败: ${err.message}`);
+        return;
+      }
+      streamStart += advance;
+      streamPrefix = chunk.fence ? chunk.fence + '\n' : '';
+      lastSentText = '';
+      console.log(`[Stream] 消息已满，转到新消息 ${streamMsgId}`);
+      chunks = splitMarkdown(streamText(), STREAM_MAX_LEN);
+    }
+  };
   
   const doUpdate = async () => {
     if (isUpdating) {
@@ -267,19 +423,35 @@ export async function runAgent(session, userText, progress, ctx) {
       return;
     }
     
-    // 构建显示文本
-    let displayText = fullResponse;
-    if (fullResponse.length > TG_MAX_LEN - 100) {
-      displayText = '...\n\n' + fullResponse.slice(-(TG_MAX_LEN - 100));
+    isUpdating = true;
+    await rollover();
+    isUpdating = false;
+    
+    // 构建显示文本（Markdown 原文）和对应的 HTML
+    let displayText = streamText();
+    let html = markdownToHtml(displayText);
+    
+    // 思考过程和最终消息一样放在可折叠引用中；有回复后只在第一条消息里保留（放得下时）
+    if (thinkingText.trim() && !fullResponse.trim()) {
+      displayText = `💭 思考中...\n\n${thinkingText.slice(-1500)}`;
+      html = `💭 思考中...\n${formatThinkingHtml(thinkingText)}`;
+    } else if (thinkingText.trim() && streamStart === 0 && !streamPrefix) {
+      const thinkingHtml = formatThinkingHtml(thinkingText);
+      if (thinkingHtml.length + html.length + 50 <= TG_MAX_LEN) {
+        displayText = `💭 思考过程\n${thinkingText.trim().slice(-1500)}\n\n${displayText}`;
+        html = `${thinkingHtml}\n${html}`;
+      }
     }
     
     // 如果正在执行工具且没有文字，显示工具状态
     if (toolName && !fullResponse.trim()) {
-      displayText = `🔧 ${toolName}...`;
+      displayText = html = `🔧 ${escapeHtml(toolName)}...`;
     } else if (toolName) {
       displayText += `\n\n🔧 ${toolName}...`;
+      html += `\n\n🔧 ${escapeHtml(toolName)}...`;
     }
     displayText += ' ▌';
+    html += ' ▌';
     
     // 检查是否有变化，避免重复调用 API
     if (displayText === lastSentText) {
@@ -295,37 +467,24 @@ export async function runAgent(session, userText, progress, ctx) {
     
     isUpdating = true;
     
-    // 转换标准 Markdown 为 Telegram 格式
-    const telegramText = convertToTelegramMarkdown(displayText);
-    
     if (streamMsgId && chatId) {
       // 不等待 typing，避免阻塞
       sendTyping();
       
       try {
-        await ctx.api.editMessageText(chatId, streamMsgId, telegramText, { parse_mode: 'Markdown' });
+        await ctx.api.editMessageText(chatId, streamMsgId, html, { parse_mode: 'HTML' });
         lastSentText = displayText;
         lastDisplayedText = fullResponse;
       } catch (err) {
         // 429 限流错误：暂停更新
-        if (err.message?.includes('429') || err.message?.includes('Too Many Requests')) {
-          const retryMatch = err.message.match(/retry after (\d+)/);
-          const retryAfter = retryMatch ? parseInt(retryMatch[1]) * 1000 : 30000;
-          rateLimitedUntil = Date.now() + retryAfter;
-          console.log(`[Stream] 429 限流，暂停 ${retryAfter / 1000} 秒`);
-        } else if (!err.message?.includes('not modified')) {
-          // Markdown 失败时回退到纯文本
+        if (!markRateLimited(err) && !err.message?.includes('not modified')) {
+          // HTML 失败时回退到纯文本
           try {
             await ctx.api.editMessageText(chatId, streamMsgId, displayText);
             lastSentText = displayText;
             lastDisplayedText = fullResponse;
           } catch (err2) {
-            if (err2.message?.includes('429') || err2.message?.includes('Too Many Requests')) {
-              const retryMatch = err2.message.match(/retry after (\d+)/);
-              const retryAfter = retryMatch ? parseInt(retryMatch[1]) * 1000 : 30000;
-              rateLimitedUntil = Date.now() + retryAfter;
-              console.log(`[Stream] 429 限流，暂停 ${retryAfter / 1000} 秒`);
-            }
+            markRateLimited(err2);
           }
         }
       }
@@ -346,6 +505,65 @@ export async function runAgent(session, userText, progress, ctx) {
     }
   };
 
+  // 回合结束后 PI 可能触发自动压缩（溢出时压缩完还会自动续跑），等它们结束再收尾
+  const waitForCompaction = async () => {
+    await new Promise(r => setImmediate(r));
+    while (session.isCompacting || compactionRetry) {
+      if (compactionRetry) {
+        compactionRetry = false;
+        await new Promise(r => setTimeout(r, 150)); // PI 在压缩完成 100ms 后续跑
+        await session.agent.waitForIdle();
+        await new Promise(r => setImmediate(r));
+      } else {
+        await new Promise(r => setTimeout(r, 200));
+      }
+    }
+  };
+
+  // PI 自身重试用尽后仍是限流/服务端错误时，依次换用回退链上的模型重跑本轮
+  const runFallbacks = async () => {
+    if (!MODEL_FALLBACK || !isFallbackError(lastError)) return;
+    const failedMessage = session.messages[session.messages.length - 1];
+    if (failedMessage?.role !== 'assistant' || failedMessage.stopReason !== 'error') return;
+
+    const failedProviders = new Set([session.model.provider]);
+    let noteStart = -1, noteEnd = -1; // 回退提示在 fullResponse 中的位置
+    for (const model of getFallbackModels(session.model, admin, { images: images.length > 0 })) {
+      if (!isFallbackError(lastError)) break;
+      if (failedProviders.has(model.provider)) continue;
+      const fromName = getModelDisplayName(session.model);
+      const toName = getModelDisplayName(model);
+      console.log(`[Stream] 🔀 模型回退: ${fromName} → ${toName} (${lastError.message})`);
+      if (!usage.fallbackFrom) {
+        usage.fallbackFrom = session.model.id;
+        originalModel = session.model;
+      }
+      
+      // 丢弃失败回合的半截输出和错误消息（连同上一次的回退提示），用新模型从同一位置续跑
+      const cut = turnStart === noteEnd ? noteStart : turnStart;
+      noteStart = cut;
+      fullResponse = fullResponse.slice(0, cut) + `📡 ${fromName} 暂时不可用，由 ${toName} 回答\n\n`;
+      noteEnd = turnStart = fullResponse.length;
+      const messages = session.agent.state.messages;
+      if (messages[messages.length - 1]?.role === 'assistant') {
+        session.agent.replaceMessages(messages.slice(0, -1));
+      }
+      failedProviders.add(model.provider);
+      applyModel(session, model, thinkingLevel);
+      usage.model = model.id;
+      thinkingText = '';
+      inThinkTag = false;
+      pendingTag = '';
+      lastError = null;
+      doUpdate();
+      await session.agent.continue();
+      await session.waitForRetry();
+      await waitForCompaction();
+    }
+    // 全部失败：去掉回退提示，按原错误处理
+    if (lastError && turnStart === noteEnd) fullResponse = fullResponse.slice(0, noteStart);
+  };
+
   let lastEventTime = Date.now();
   
   const unsub = session.subscribe((event) => {
@@ -358,14 +576,26 @@ export async function runAgent(session, userText, progress, ctx) {
     }
     lastEventTime = now;
     
+    if (event.type === 'message_start' && event.message?.role === 'assistant') {
+      turnStart = fullResponse.length;
+    }
     if (event.type === 'message_end') {
       console.log(`[Stream] message_end, 响应长度: ${fullResponse.length}, 工具: ${toolName || '无'}`);
+      // 累计本次任务的 token 用量（每轮工具调用都是一次模型请求）
+      const u = event.message?.role === 'assistant' && event.message.usage;
+      if (u) {
+        usage.input += u.input || 0;
+        usage.output += u.output || 0;
+        usage.cacheRead += u.cacheRead || 0;
+        usage.cacheWrite += u.cacheWrite || 0;
+        usage.cost += calculateCost(event.message.model, u, session.model?.cost);
+      }
       if (event.message?.errorMessage) {
         console.log(`[Stream] 错误: ${event.message.errorMessage}`);
         const msg = event.message.errorMessage;
-        if (msg.includes('quota') || msg.includes('429')) {
+        if (msg.includes('quota') || msg.includes('429') || /rate.?limit|too many requests/i.test(msg)) {
           lastError = { status: 429, message: '请求过于频繁或配额已用完' };
-        } else if (msg.includes('500') || msg.includes('unavailable')) {
+        } else if (/\b5\d\d\b|unavailable|overloaded|server error|fetch failed|connection/i.test(msg)) {
           lastError = { status: 500, message: 'AI 服务暂时不可用' };
         } else {
           lastError = { status: 0, message: msg.slice(0, 200) };
@@ -376,6 +606,26 @@ export async function runAgent(session, userText, progress, ctx) {
       console.log(`[Stream] error 事件:`, event.error);
       lastError = event.error;
     }
+    if (event.type === 'auto_compaction_start') {
+      console.log(`[Stream] 开始压缩上下文 (${event.reason})`);
+      toolName = '压缩上下文';
+      doUpdate();
+    }
+    if (event.type === 'auto_compaction_end') {
+      toolName = '';
+      if (event.result) {
+        console.log(`[Stream] 上下文已压缩, 压缩前 ${event.result.tokensBefore} tokens`);
+        const tokensK = Math.round(event.result.tokensBefore / 1000);
+        ctx.reply(`🗜 上下文已压缩（约 ${tokensK}K tokens），较早的对话已总结，最近的对话保留原文。`).catch(() => {});
+        if (event.willRetry) {
+          compactionRetry = true;
+          lastError = null;
+        }
+      } else if (event.errorMessage) {
+        console.log(`[Stream] ⚠️ ${event.errorMessage}`);
+      }
+      doUpdate();
+    }
     if (event.type === 'auto_retry_start') {
       console.log(`[Stream] auto_retry_start: ${event.errorMessage}`);
       try {
@@ -402,7 +652,11 @@ export async function runAgent(session, userText, progress, ctx) {
     const e = event.assistantMessageEvent;
     switch (e.type) {
       case 'text_delta':
-        fullResponse += e.delta;
+        appendText(e.delta);
+        startUpdateTimer();
+        break;
+      case 'thinking_delta':
+        thinkingText += e.delta;
         startUpdateTimer();
         break;
       case 'text_start':
@@ -469,6 +723,15 @@ export async function runAgent(session, userText, progress, ctx) {
       if (event.error) {
         console.log(`[Stream] ⚠️ 工具执行错误:`, event.error);
       }
+      // 权限拒绝：在流式消息中明确提示
+      const denial = getPermissionDenial(event);
+      if (denial) {
+        fullResponse += `${fullResponse.trim() ? '\n\n' : ''}⛔ 权限不足，已拒绝执行 ${event.toolName}: ${denial.slice(0, 200)}\n\n`;
+      }
+      const rejection = getApprovalRejection(event);
+      if (rejection) {
+        fullResponse += `${fullResponse.trim() ? '\n\n' : ''}🚫 未执行 ${event.toolName}: ${rejection}\n\n`;
+      }
       toolName = ''; // 工具执行完毕，清除工具名
       doUpdate();
     }
@@ -476,14 +739,42 @@ export async function runAgent(session, userText, progress, ctx) {
 
   try {
     console.log(`[Stream] 开始处理: ${userText.slice(0, 50)}...`);
-    startTypingTimer();
     await initStreamMsg();
+    releaseSlot = await waitForSlot();
+    if (timeoutMs) {
+      timeoutTimer = setTimeout(async () => {
+        timedOut = true;
+        try { await session.abort(); } catch {}
+      }, timeoutMs);
+    }
+    startTypingTimer();
     startLoadingAnimation(); // 启动加载动画
     startUpdateTimer();
     console.log(`[Stream] 调用 AI...`);
-    await session.prompt(userText);
+    taskContext.ctx = ctx;
+    taskContext.outbox = outbox;
+    await session.prompt(userText, images.length ? { images } : undefined);
+    await waitForCompaction();
+    // 超时或取消后不再换模型重试
+    if (!timedOut && !signal?.aborted) await runFallbacks();
     console.log(`[Stream] AI 响应完成, 响应长度: ${fullResponse.length}`);
+  } catch (err) {
+    // 排队时被取消：删掉还在显示排队位置的流式消息
+    if (!releaseSlot && streamMsgId && chatId) {
+      try { await ctx.api.deleteMessage(chatId, streamMsgId); } catch {}
+      streamMsgId = null;
+      streamMsgIds.length = 0;
+    }
+    err.usage = usage;
+    err.streamMsgIds = streamMsgIds;
+    throw err;
   } finally {
+    releaseSlot?.();
+    clearTimeout(timeoutTimer);
+    taskContext.ctx = null;
+    taskContext.outbox = null;
+    // 回退只对本次任务生效，下次仍使用用户选择的模型
+    if (originalModel) applyModel(session, originalModel, thinkingLevel);
     console.log(`[Stream] 清理定时器...`);
     stopUpdateTimer();
     stopTypingTimer();
@@ -500,26 +791,41 @@ export async function runAgent(session, userText, progress, ctx) {
     }
     const err = new Error(lastError.message || 'AI 请求失败');
     err.status = lastError.status;
+    err.usage = usage;
     throw err;
   }
 
-  if (streamMsgId && chatId && fullResponse.trim()) {
+  // 收尾：补上留到最后的半截标签，当前消息放不下的部分转到新消息
+  if (inThinkTag) thinkingText += pendingTag;
+  else fullResponse += pendingTag;
+  pendingTag = '';
+  while (isUpdating) await new Promise(r => setTimeout(r, 50));
+  await rollover({ force: true });
+
+  const tail = streamText();
+  const thinking = thinkingText.trim();
+
+  // response 为完整回复、streamText 为最后一条流式消息中的部分（Markdown 原文），由调用方转换为 HTML 发送
+  if (streamMsgId && chatId && tail.trim()) {
     try {
-      if (fullResponse.length > TG_MAX_LEN) {
-        await ctx.api.deleteMessage(chatId, streamMsgId);
-        return { response: convertToTelegramMarkdown(fullResponse), streamMsgId: null };
-      }
-      const finalText = convertToTelegramMarkdown(fullResponse);
-      await ctx.api.editMessageText(chatId, streamMsgId, finalText, { parse_mode: 'Markdown' });
-      return { response: finalText, streamMsgId };
+      await ctx.api.editMessageText(chatId, streamMsgId, markdownToHtml(tail), { parse_mode: 'HTML' });
     } catch {
-      // Markdown 失败时回退到纯文本
+      // HTML 失败时回退到纯文本
       try {
-        await ctx.api.editMessageText(chatId, streamMsgId, fullResponse);
-        return { response: fullResponse, streamMsgId };
+        await ctx.api.editMessageText(chatId, streamMsgId, tail);
       } catch {}
     }
   }
 
-  return { response: convertToTelegramMarkdown(fullResponse), streamMsgId };
+  // PI 中止后 prompt() 照常返回（stopReason: aborted），已输出的部分保留，由调用方提示超时或取消
+  if (timedOut || signal?.aborted) {
+    const err = new Error(timedOut ? '任务超时' : '任务已取消');
+    err.name = 'AbortError';
+    err.timedOut = timedOut;
+    err.usage = usage;
+    err.streamMsgIds = streamMsgIds;
+    throw err;
+  }
+
+  return { response: fullResponse, streamText: tail, streamMsgId, streamMsgIds, usage, thinking };
 }
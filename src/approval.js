@@ -0,0 +1,97 @@
+/**
+ * 管理员操作审批模块
+ * 危险的工具调用先发出预览和批准/拒绝按钮，等待管理员确认后再执行
+ */
+
+import { InlineKeyboard } from 'grammy';
+import { TIMEOUT_MS } from './config.js';
+
+const PREVIEW_LIMIT = 1500;
+
+// id -> { userId, chatId, msgId, resolve }
+const pendingApprovals = new Map();
+let nextApprovalId = 1;
+
+function truncate(text, limit = PREVIEW_LIMIT) {
+  return text.length > limit ? text.slice(0, limit) + '\n...(已截断)' : text;
+}
+
+function prefixLines(text, prefix) {
+  return text.split('\n').map(line => prefix + line).join('\n');
+}
+
+/**
+ * 生成工具调用预览
+ */
+function buildPreview(toolName, params) {
+  if (toolName === 'bash') {
+    return `$ ${params.command}`;
+  }
+  if (toolName === 'write') {
+    const lines = String(params.content ?? '').split('\n');
+    const head = lines.slice(0, 20).join('\n');
+    return `📝 写入 ${params.path}（${lines.length} 行）\n\n${head}${lines.length > 20 ? '\n...' : ''}`;
+  }
+  if (toolName === 'edit') {
+    return `✏️ 修改 ${params.path}\n\n${prefixLines(params.oldText ?? '', '- ')}\n${prefixLines(params.newText ?? '', '+ ')}`;
+  }
+  return JSON.stringify(params, null, 2);
+}
+
+/**
+ * 请求管理员确认工具调用
+ * 任务取消或超时（signal 中止）视为拒绝
+ * @returns {Promise<{ approved: boolean, reason: string }>}
+ */
+export async function requestApproval(ctx, { toolName, params, risk }, signal) {
+  if (signal?.aborted) return { approved: false, reason: '任务已取消' };
+
+  const id = nextApprovalId++;
+  const chatId = ctx.chat.id;
+  const text = `⚠️ 需要确认的操作\n原因: ${risk}\n\n${truncate(buildPreview(toolName, params))}`;
+
+  let msg;
+  try {
+    msg = await ctx.api.sendMessage(chatId, text, {
+      reply_markup: new InlineKeyboard()
+        .text('✅ 批准', `approve_${id}`)
+        .text('❌ 拒绝', `reject_${id}`),
+    });
+  } catch (err) {
+    console.error('[Approval] 发送审批消息失败:', err.message);
+    return { approved: false, reason: '无法发送审批请求' };
+  }
+
+  const result = await new Promise((resolve) => {
+    const onAbort = () => finish({ approved: false, reason: '任务已取消或超时' }, '⌛ 已失效（任务已取消或超时）');
+    const timer = setTimeout(() => finish({ approved: false, reason: '等待确认超时' }, '⌛ 等待确认超时'), TIMEOUT_MS);
+
+    function finish(outcome, status) {
+      if (!pendingApprovals.has(id)) return;
+      pendingApprovals.delete(id);
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      ctx.api.editMessageText(chatId, msg.message_id, `${text}\n\n${status}`).catch(() => {});
+      resolve(outcome);
+    }
+
+    pendingApprovals.set(id, { userId: ctx.from.id, finish });
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+
+  return result;
+}
+
+/**
+ * 处理审批按钮
+ * @returns {boolean} 是否找到对应的待审批请求
+ */
+export function resolveApproval(id, approved, userId) {
+  const pending = pendingApprovals.get(id);
+  if (!pending || pending.userId !== userId) return false;
+  pending.finish(
+    approved ? { approved: true, reason: '' } : { approved: false, reason: '管理员拒绝了该操作' },
+    approved ? '✅ 已批准' : '❌ 已拒绝',
+  );
+  return true;
+}
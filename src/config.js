@@ -9,6 +9,8 @@ import { homedir } from 'os';
 // ==================== 基础配置 ====================
 
 export const AGENT_DIR = resolve(homedir(), '.pi', 'agent');
+// 模型目录（随仓库提供，docker-compose 挂载到 /app/.pi）
+export const MODELS_CATALOG = resolve(process.cwd(), '.pi', 'agent', 'models.json');
 export const ADMIN_USER = Number(process.env.ADMIN_USER) || 0;
 export const ENV_ALLOWED_USERS = process.env.ALLOWED_USERS
   ? process.env.ALLOWED_USERS.split(',').map(id => Number(id.trim())).filter(Boolean)
@@ -19,9 +21,44 @@ export const ENV_ALLOWED_USERS = process.env.ALLOWED_USERS
 export const TIMEOUT_MS = 3 * 60 * 1000;
 export const MSG_THROTTLE_MS = 1500;
 export const TG_MAX_LEN = 4000;
+// 自建 Bot API 服务器地址（如 http://localhost:8081），可收发 2GB 以内的文件
+export const TG_API_ROOT = (process.env.TG_API_ROOT || '').replace(/\/+$/, '');
+// Bot API 发送文件的上限（官方服务器 50MB）
+export const TG_UPLOAD_MAX_BYTES = (TG_API_ROOT ? 2000 : 50) * 1024 * 1024;
+// 下载用户文件的上限（官方服务器 getFile 只支持 20MB）
+export const TG_DOWNLOAD_MAX_BYTES = (Number(process.env.TG_DOWNLOAD_MAX_MB) || (TG_API_ROOT ? 2000 : 20)) * 1024 * 1024;
 export const SESSION_TTL_MS = 30 * 60 * 1000;
 export const SESSION_MAX = 20;
 
+// ==================== 上下文压缩配置 ====================
+
+// 上下文用量达到模型窗口的该比例时自动压缩
+export const COMPACTION_THRESHOLD = Number(process.env.COMPACTION_THRESHOLD) || 0.75;
+// 压缩时原文保留的最近对话 token 数
+export const COMPACTION_KEEP_RECENT_TOKENS = Number(process.env.COMPACTION_KEEP_RECENT_TOKENS) || 20000;
+
+// ==================== 模型回退 ====================
+
+// 限流/服务端错误时依次改用其他服务商的可用模型（MODEL_FALLBACK=false 关闭）
+export const MODEL_FALLBACK = process.env.MODEL_FALLBACK !== 'false';
+
+// ==================== 并发限制 ====================
+
+// 同时运行的 AI 任务上限，超出的任务排队等待（管理员优先）
+export const MAX_CONCURRENT_TASKS = Number(process.env.MAX_CONCURRENT_TASKS) || 4;
+// 按服务商限制并发，格式 deepseek=2,openai=3（未列出的服务商只受总上限限制）
+export const PROVIDER_CONCURRENCY = Object.fromEntries(
+  (process.env.PROVIDER_CONCURRENCY || '').split(',')
+    .map(item => item.split('=').map(s => s.trim()))
+    .filter(([name, limit]) => name && Number(limit) > 0)
+    .map(([name, limit]) => [name, Number(limit)])
+);
+
+// ==================== 消息合并 ====================
+
+// 在该时间内连续收到的文字消息合并为一条发给 AI（长文本会被 Telegram 拆成多条），0 关闭
+export const MESSAGE_MERGE_MS = Number(process.env.MESSAGE_MERGE_MS ?? 1500) || 0;
+
 // ==================== 流式输出配置 ====================
 
 export const STREAM_THROTTLE_MS = 500; // sendMessageDraft 专为流式设计，可以更快
@@ -32,10 +69,49 @@ export const TYPING_INTERVAL_MS = 4000;
 export const PG_CONNECTION_STRING = process.env.PG_CONNECTION_STRING || '';
 export const PG_POLL_INTERVAL = Number(process.env.PG_POLL_INTERVAL) || 30000;
 
+// ==================== 图片 OCR ====================
+
+// 当前模型不支持图片输入时用 tesseract 识别图片文字
+export const OCR_BIN = process.env.OCR_BIN || 'tesseract';
+export const OCR_LANGS = process.env.OCR_LANGS || 'chi_sim+eng';
+
+// ==================== 文档文本提取 ====================
+
+// 上传 PDF 时用 pdftotext（poppler-utils）提取文字
+export const PDF_TEXT_BIN = process.env.PDF_TEXT_BIN || 'pdftotext';
+
+// ==================== 语音识别和音视频 ====================
+
+// 语音转文字后端：command（本地命令，如 whisper.cpp）| openai（OpenAI 兼容的 /audio/transcriptions 接口）| 留空不启用
+export const STT_BACKEND = process.env.STT_BACKEND || '';
+// command 后端的命令，{input} 替换为 16kHz 单声道 wav 文件路径，识别结果输出到 stdout
+export const STT_COMMAND = process.env.STT_COMMAND || '';
+export const STT_API_URL = (process.env.STT_API_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+export const STT_API_KEY = process.env.STT_API_KEY || process.env.OPENAI_API_KEY || '';
+export const STT_MODEL = process.env.STT_MODEL || 'whisper-1';
+// 音频转换、视频截图和提取音轨
+export const FFMPEG_BIN = process.env.FFMPEG_BIN || 'ffmpeg';
+
+// ==================== 上传文件类型 ====================
+
+// 按文件内容识别出的 MIME 类型过滤上传，逗号分隔，支持 image/* 通配；白名单为空时不限制
+const parseTypes = value => value.split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+export const UPLOAD_ALLOWED_TYPES = parseTypes(process.env.UPLOAD_ALLOWED_TYPES || '');
+export const UPLOAD_DENIED_TYPES = parseTypes(
+  process.env.UPLOAD_DENIED_TYPES ?? 'application/x-msdownload,application/x-executable,application/x-mach-binary'
+);
+
 // ==================== 用户文档目录 ====================
 
 export const USER_DOCS_DIR = process.env.USER_DOCS_DIR || '/home/administrator/Documents';
 
+// ==================== 管理员操作审批 ====================
+
+// risky: 危险操作需确认（默认）| all: 所有 bash/write/edit 都需确认 | off: 不审批
+export const APPROVAL_POLICY = ['risky', 'all', 'off'].includes(process.env.APPROVAL_POLICY)
+  ? process.env.APPROVAL_POLICY
+  : 'risky';
+
 // ==================== 验证必需配置 ====================
 
 export function validateConfig() {
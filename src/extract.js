@@ -0,0 +1,321 @@
+/**
+ * 文档文本提取模块
+ * 上传 PDF / Word / Excel / PowerPoint 后在本地转换为 Markdown 文本，保存在原文件旁边，方便 AI 直接读取
+ * PDF 使用 pdftotext，Office 文档（zip + XML）直接解析，不依赖其他软件
+ */
+
+import { extname } from 'path';
+import { existsSync } from 'fs';
+import { readFile, stat, writeFile } from 'fs/promises';
+import { inflateRaw } from 'zlib';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { PDF_TEXT_BIN } from './config.js';
+
+const execFileAsync = promisify(execFile);
+const inflateRawAsync = promisify(inflateRaw);
+
+const PDF_TIMEOUT_MS = 60 * 1000;
+// 超过该大小的文档不提取
+const MAX_INPUT_BYTES = 50 * 1024 * 1024;
+// zip 中单个文件解压后的上限（防止压缩炸弹；XML 用正则同步解析，太大会长时间占用主线程）
+const MAX_ENTRY_BYTES = 8 * 1024 * 1024;
+// 提取结果的最大字符数，达到后停止解析，超出部分截断
+const MAX_TEXT_CHARS = 2 * 1000 * 1000;
+// Excel 最多提取的列数（单元格引用如 XFD1 会让每行都补齐到一万多列）
+const MAX_COLUMNS = 200;
+
+const EXTRACTORS = {
+  '.pdf': extractPdf,
+  '.docx': extractDocx,
+  '.xlsx': extractXlsx,
+  '.xlsm': extractXlsx,
+  '.pptx': extractPptx,
+};
+
+export function canExtractText(fileName) {
+  return extname(fileName).toLowerCase() in EXTRACTORS;
+}
+
+/**
+ * 提取文档文本，保存为原文件旁边的 <文件名>.md
+ * @returns {Promise<{ path: string, summary: string, size: number }>} summary 如「PDF 12 页」
+ * @throws 无法提取时抛出错误，message 为可以直接展示给用户的原因
+ */
+export async function extractText(path, fileName) {
+  const extractor = EXTRACTORS[extname(fileName).toLowerCase()];
+  if (!extractor) throw new Error('不支持的文档格式');
+  if ((await stat(path)).size > MAX_INPUT_BYTES) throw new Error(`文档超过 ${MAX_INPUT_BYTES / 1024 / 1024}MB，未提取`);
+
+  let text, summary, truncated;
+  try {
+    ({ text, summary, truncated } = await extractor(path));
+  } catch (err) {
+    if (err.code === 'ERR_BUFFER_TOO_LARGE') throw new Error('文档解压后过大，未提取');
+    // 读取 zip 结构越界（RangeError 也可能来自其他原因，只认越界的错误码）
+    if (['ERR_OUT_OF_RANGE', 'ERR_BUFFER_OUT_OF_BOUNDS'].includes(err.code) || err.code?.startsWith('Z_')) {
+      throw new Error('文件已损坏，无法解析');
+    }
+    throw err;
+  }
+  text = text.replace(/\n{3,}/g, '\n\n').trim();
+  if (!text) throw new Error('文档中没有可提取的文字');
+  if (truncated || text.length > MAX_TEXT_CHARS) {
+    text = text.slice(0, MAX_TEXT_CHARS) + '\n\n…（内容过长，已截断）';
+    summary += '，已截断';
+  }
+
+  let outPath = `${path}.md`;
+  for (let n = 1; existsSync(outPath); n++) outPath = `${path}_${n}.md`;
+  await writeFile(outPath, `# ${fileName}\n\n${text}\n`);
+  return { path: outPath, summary, size: (await stat(outPath)).size };
+}
+
+/**
+ * 逐块拼接提取结果，达到 MAX_TEXT_CHARS 后不再追加
+ * add 返回 false 时内容已截断（truncated），调用方停止解析
+ */
+function createOutput() {
+  const blocks = [];
+  let length = 0;
+  return {
+    truncated: false,
+    get remaining() {
+      return Math.max(MAX_TEXT_CHARS - length, 0);
+    },
+    add(block) {
+      if (length >= MAX_TEXT_CHARS) {
+        this.truncated = true;
+        return false;
+      }
+      blocks.push(block);
+      length += block.length + 2;
+      return true;
+    },
+    text: () => blocks.join('\n\n'),
+  };
+}
+
+// ==================== PDF ====================
+
+async function extractPdf(path) {
+  let stdout;
+  try {
+    ({ stdout } = await execFileAsync(PDF_TEXT_BIN, ['-layout', '-enc', 'UTF-8', path, '-'], {
+      timeout: PDF_TIMEOUT_MS,
+      maxBuffer: 64 * 1024 * 1024,
+    }));
+  } catch (err) {
+    if (err.code === 'ENOENT') throw new Error(`未安装 ${PDF_TEXT_BIN}（poppler-utils）`);
+    if (err.killed) throw new Error('PDF 解析超时');
+    throw new Error(/password|encrypt/i.test(err.stderr || '') ? 'PDF 已加密' : 'PDF 文件无法解析');
+  }
+  // pdftotext 用换页符分隔页面
+  const pages = stdout.replace(/\f$/, '').split('\f');
+  if (!pages.some(page => page.trim())) {
+    throw new Error(`PDF 共 ${pages.length} 页，但没有文字层（可能是扫描件，可以让我用 OCR 识别）`);
+  }
+  const output = createOutput();
+  for (const [i, page] of pages.entries()) {
+    if (!output.add(`## 第 ${i + 1} 页\n\n${page.replace(/\s+$/gm, '').trim()}`)) break;
+  }
+  return { text: output.text(), summary: `PDF ${pages.length} 页`, truncated: output.truncated };
+}
+
+// ==================== Office 文档 ====================
+
+// 读取 zip 中的文件，返回 文件名 -> 读取函数（异步解压，不占用主线程）
+export async function readZip(path) {
+  const buf = await readFile(path);
+  // 结尾的目录记录（End of Central Directory）
+  let eocd = -1;
+  for (let i = buf.length - 22; i >= Math.max(0, buf.length - 65557); i--) {
+    if (buf.readUInt32LE(i) === 0x06054b50) { eocd = i; break; }
+  }
+  if (eocd < 0) throw new Error('文件已损坏或不是有效的 Office 文档');
+
+  const entries = new Map();
+  const count = buf.readUInt16LE(eocd + 10);
+  let pos = buf.readUInt32LE(eocd + 16);
+  for (let i = 0; i < count && buf.readUInt32LE(pos) === 0x02014b50; i++) {
+    const method = buf.readUInt16LE(pos + 10);
+    const compressedSize = buf.readUInt32LE(pos + 20);
+    const nameLen = buf.readUInt16LE(pos + 28);
+    const extraLen = buf.readUInt16LE(pos + 30);
+    const commentLen = buf.readUInt16LE(pos + 32);
+    const offset = buf.readUInt32LE(pos + 42);
+    const name = buf.toString('utf8', pos + 46, pos + 46 + nameLen);
+    entries.set(name, async () => {
+      const start = offset + 30 + buf.readUInt16LE(offset + 26) + buf.readUInt16LE(offset + 28);
+      const data = buf.subarray(start, start + compressedSize);
+      if (method === 0) return data.toString('utf8');
+      if (method === 8) return (await inflateRawAsync(data, { maxOutputLength: MAX_ENTRY_BYTES })).toString('utf8');
+      throw new Error('不支持的压缩方式');
+    });
+    pos += 46 + nameLen + extraLen + commentLen;
+  }
+  return entries;
+}
+
+export async function readEntry(entries, name) {
+  const read = entries.get(name);
+  return read ? read() : '';
+}
+
+function decodeXml(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+// 匹配某个元素（含自闭合形式），如 elementRe('w:p') 匹配 <w:p ...>...</w:p> 和 <w:p/>
+function elementRe(tag) {
+  return new RegExp(`<${tag}(?:\\s[^>]*)?\\/>|<${tag}(?:\\s[^>]*)?>[\\s\\S]*?<\\/${tag}>`, 'g');
+}
+
+// 拼接元素中所有文本节点
+function joinText(xml, tag) {
+  return [...xml.matchAll(new RegExp(`<${tag}(?:\\s[^>]*)?>([^<]*)<\\/${tag}>`, 'g'))].map(m => decodeXml(m[1])).join('');
+}
+
+// 最长一行的列数（行数很多时展开参数会超出调用栈，不能用 Math.max(...)）
+function maxRowLength(rows) {
+  return rows.reduce((max, row) => Math.max(max, row.length), 0);
+}
+
+function markdownTable(rows) {
+  const width = maxRowLength(rows);
+  const cell = value => (value ?? '').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+  const lines = rows.map(row => `| ${Array.from({ length: width }, (_, i) => cell(row[i])).join(' | ')} |`);
+  lines.splice(1, 0, `|${' --- |'.repeat(width)}`);
+  return lines.join('\n');
+}
+
+// ---------- Word ----------
+
+function docxParagraph(xml) {
+  const text = joinText(
+    xml.replace(/<w:tab\/>/g, '<w:t>\t</w:t>').replace(/<w:(?:br|cr)(?:\s[^>]*)?\/>/g, '<w:t>\n</w:t>'),
+    'w:t',
+  );
+  const style = xml.match(/<w:pStyle w:val="([^"]+)"/)?.[1] || '';
+  const level = style === 'Title' ? 1 : Number(style.match(/^(?:Heading|heading)(\d)$/)?.[1]);
+  if (text.trim() && level) return `${'#'.repeat(Math.min(level, 6))} ${text.trim()}`;
+  if (text.trim() && xml.includes('<w:numPr>')) return `- ${text.trim()}`;
+  return text;
+}
+
+async function extractDocx(path) {
+  const entries = await readZip(path);
+  const xml = await readEntry(entries, 'word/document.xml');
+  if (!xml) throw new Error('文件已损坏或不是有效的 Word 文档');
+
+  const output = createOutput();
+  let tables = 0;
+  const blockRe = new RegExp(`${elementRe('w:tbl').source}|${elementRe('w:p').source}`, 'g');
+  for (const [block] of xml.matchAll(blockRe)) {
+    if (block.startsWith('<w:tbl')) {
+      const rows = [...block.matchAll(elementRe('w:tr'))].map(([row]) =>
+        [...row.matchAll(elementRe('w:tc'))].slice(0, MAX_COLUMNS).map(([cell]) =>
+          [...cell.matchAll(elementRe('w:p'))].map(([p]) => docxParagraph(p).trim()).filter(Boolean).join(' ')));
+      if (!rows.length) continue;
+      if (!output.add(markdownTable(rows))) break;
+      tables++;
+    } else if (!output.add(docxParagraph(block))) {
+      break;
+    }
+  }
+
+  const text = output.text();
+  const pages = (await readEntry(entries, 'docProps/app.xml')).match(/<Pages>(\d+)<\/Pages>/)?.[1];
+  const parts = [pages ? `Word ${pages} 页` : 'Word 文档', `约 ${text.replace(/[\s#|-]/g, '').length} 字`];
+  if (tables) parts.push(`${tables} 个表格`);
+  return { text, summary: parts.join('，'), truncated: output.truncated };
+}
+
+// ---------- Excel ----------
+
+// 列字母转序号，A -> 0
+function columnIndex(ref) {
+  let index = 0;
+  for (const ch of ref.match(/^[A-Z]+/)[0]) index = index * 26 + ch.charCodeAt(0) - 64;
+  return index - 1;
+}
+
+async function extractXlsx(path) {
+  const entries = await readZip(path);
+  const workbook = await readEntry(entries, 'xl/workbook.xml');
+  if (!workbook) throw new Error('文件已损坏或不是有效的 Excel 文档');
+
+  const targets = {};
+  for (const [rel] of (await readEntry(entries, 'xl/_rels/workbook.xml.rels')).matchAll(/<Relationship\s[^>]*>/g)) {
+    const id = rel.match(/Id="([^"]+)"/)?.[1];
+    const target = rel.match(/Target="([^"]+)"/)?.[1];
+    if (id && target) targets[id] = target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+  }
+  const sharedStrings = [...(await readEntry(entries, 'xl/sharedStrings.xml')).matchAll(elementRe('si'))]
+    .map(([si]) => joinText(si, 't'));
+
+  const output = createOutput();
+  const sheetSummaries = [];
+  for (const [sheet] of workbook.matchAll(/<sheet\s[^>]*>/g)) {
+    const name = decodeXml(sheet.match(/name="([^"]*)"/)?.[1] || '');
+    const xml = await readEntry(entries, targets[sheet.match(/r:id="([^"]+)"/)?.[1]]);
+    const rows = [];
+    // 表格的大致长度超过剩余的字数时不再解析后面的行
+    let budget = output.remaining;
+    for (const [row] of xml.matchAll(elementRe('row'))) {
+      const cells = [];
+      for (const [cell] of row.matchAll(elementRe('c'))) {
+        const ref = cell.match(/\sr="([A-Z]+)\d+"/)?.[1];
+        const index = ref ? columnIndex(ref) : cells.length;
+        if (index >= MAX_COLUMNS) {
+          output.truncated = true;
+          continue;
+        }
+        const type = cell.match(/\st="([^"]+)"/)?.[1];
+        const raw = cell.match(/<v>([^<]*)<\/v>/)?.[1];
+        let value;
+        if (type === 's') value = sharedStrings[Number(raw)];
+        else if (type === 'inlineStr') value = joinText(cell, 't');
+        else if (type === 'b') value = raw === '1' ? 'TRUE' : 'FALSE';
+        else value = raw != null ? decodeXml(raw) : '';
+        cells[index] = value;
+      }
+      if (!cells.some(value => value)) continue;
+      rows.push(cells);
+      budget -= cells.reduce((sum, value) => sum + (value?.length ?? 0) + 3, 2);
+      if (budget < 0) {
+        output.truncated = true;
+        break;
+      }
+    }
+    const columns = maxRowLength(rows);
+    sheetSummaries.push(`${name}（${rows.length} 行 × ${columns} 列）`);
+    if (!output.add(`## ${name}\n\n${rows.length ? markdownTable(rows) : '（空）'}`)) break;
+  }
+  if (!sheetSummaries.length) throw new Error('Excel 中没有工作表');
+  const summary = `Excel ${sheetSummaries.length} 个工作表：${sheetSummaries.join('、')}`;
+  return { text: output.text(), summary, truncated: output.truncated };
+}
+
+// ---------- PowerPoint ----------
+
+async function extractPptx(path) {
+  const entries = await readZip(path);
+  const slides = [...entries.keys()]
+    .filter(name => /^ppt\/slides\/slide\d+\.xml$/.test(name))
+    .sort((a, b) => Number(a.match(/\d+/)[0]) - Number(b.match(/\d+/)[0]));
+  if (!slides.length) throw new Error('文件已损坏或不是有效的 PowerPoint 文档');
+
+  const output = createOutput();
+  for (const [i, name] of slides.entries()) {
+    const lines = [...(await readEntry(entries, name)).matchAll(elementRe('a:p'))]
+      .map(([p]) => joinText(p, 'a:t').trim())
+      .filter(Boolean);
+    if (!output.add(`## 第 ${i + 1} 页\n\n${lines.join('\n')}`)) break;
+  }
+  return { text: output.text(), summary: `PowerPoint ${slides.length} 页`, truncated: output.truncated };
+}
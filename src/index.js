@@ -5,15 +5,16 @@
 
 import 'dotenv/config';
 import { Bot } from 'grammy';
-import { validateConfig, ADMIN_USER, ENV_ALLOWED_USERS, PG_POLL_INTERVAL } from './config.js';
-import { getCurrentModelName, logApiKeyStatus } from './models.js';
+import { validateConfig, ADMIN_USER, ENV_ALLOWED_USERS, PG_POLL_INTERVAL, TG_API_ROOT } from './config.js';
+import { getDefaultModelName, logApiKeyStatus } from './models.js';
 import { setOnSessionDelete, evictSessions } from './session.js';
 import { initPiGlobals } from './agent.js';
 import { initPgPool, closePgPool, startPolling, getPgPool } from './submissions.js';
 import { registerCommands } from './telegram/commands.js';
 import { registerCallbacks } from './telegram/callbacks.js';
 import { registerMessageHandlers } from './telegram/messages.js';
-import { initDb, closeDb, allowRepo } from '../db.js';
+import { registerGroupSupport } from './telegram/groups.js';
+import { initDb, closeDb, allowRepo, groupRepo } from '../db.js';
 
 async function main() {
   // 验证配置
@@ -26,7 +27,8 @@ async function main() {
   await initPiGlobals();
 
   // 创建 Bot
-  const bot = new Bot(process.env.BOT_TOKEN);
+  // 配置了自建 Bot API 服务器时改用该服务器（支持更大的文件）
+  const bot = new Bot(process.env.BOT_TOKEN, TG_API_ROOT ? { client: { apiRoot: TG_API_ROOT } } : undefined);
   const runningTasks = new Map();
   const lastMessages = new Map();
   
@@ -36,6 +38,9 @@ async function main() {
   // 初始化 PostgreSQL
   initPgPool();
 
+  // 群聊：回复挂在触发消息下面，被拉进群时提示开通（需在其他处理器之前）
+  registerGroupSupport(bot);
+
   // 注册命令
   registerCommands(bot, runningTasks, lastMessages);
 
@@ -57,22 +62,41 @@ async function main() {
     { command: 'help', description: '帮助' },
     { command: 'status', description: '系统状态' },
     { command: 'skills', description: '已装技能' },
+    { command: 'models', description: '切换模型' },
+    { command: 'think', description: '思考强度' },
     { command: 'mydata', description: '我的数据用量' },
+    { command: 'files', description: '我的文件' },
     { command: 'deletedata', description: '删除我的数据' },
     { command: 'cancel', description: '取消当前任务' },
     { command: 'clear', description: '清除对话' },
   ]);
 
+  // 群里的个人数据命令需要私聊使用，不在菜单中显示
+  await bot.api.setMyCommands([
+    { command: 'help', description: '帮助' },
+    { command: 'status', description: '系统状态' },
+    { command: 'models', description: '切换我的模型' },
+    { command: 'think', description: '思考强度' },
+    { command: 'cancel', description: '取消当前任务' },
+    { command: 'clear', description: '清除本群对话' },
+  ], { scope: { type: 'all_group_chats' } });
+
   if (ADMIN_USER) {
     await bot.api.setMyCommands([
       { command: 'start', description: '主菜单' },
       { command: 'help', description: '帮助' },
       { command: 'status', description: '系统状态' },
       { command: 'models', description: '切换模型' },
+      { command: 'think', description: '思考强度' },
+      { command: 'files', description: '我的文件' },
       { command: 'submissions', description: '客户咨询' },
       { command: 'adduser', description: '添加用户' },
       { command: 'removeuser', description: '移除用户' },
       { command: 'listusers', description: '查看白名单' },
+      { command: 'listgroups', description: '查看已开通的群' },
+      { command: 'usage', description: '用量报表' },
+      { command: 'quota', description: '用户配额' },
+      { command: 'providers', description: '模型服务商' },
       { command: 'cancel', description: '取消当前任务' },
       { command: 'clear', description: '清除对话' },
     ], { scope: { type: 'chat', chat_id: ADMIN_USER } });
@@ -105,7 +129,7 @@ async function main() {
   console.log('🤖 botk 已启动');
   console.log(`🔧 工具: read, write, edit, bash`);
   console.log(`🔌 技能: find-skills`);
-  console.log(`📡 模型: ${getCurrentModelName()}`);
+  console.log(`📡 默认模型: ${getDefaultModelName()}`);
   console.log(`🗄 数据库: data/botk.db`);
   if (ADMIN_USER) console.log(`👑 管理员: ${ADMIN_USER}`);
   else console.log('⚠️  未设置 ADMIN_USER');
@@ -114,6 +138,8 @@ async function main() {
   if (ENV_ALLOWED_USERS.length > 0) console.log(`🔒 .env 白名单: [${ENV_ALLOWED_USERS.join(', ')}]`);
   const dbAllowed = allowRepo.list();
   if (dbAllowed.length > 0) console.log(`🔒 DB 白名单: [${dbAllowed.map(u => u.user_id).join(', ')}]`);
+  const groups = groupRepo.list();
+  if (groups.length > 0) console.log(`👥 已开通的群: [${groups.map(g => g.chat_id).join(', ')}]`);
 
   await bot.start();
 }
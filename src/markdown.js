@@ -0,0 +1,358 @@
+/**
+ * Markdown → Telegram HTML 转换模块
+ * 模型输出标准 Markdown，Telegram 只支持少量 HTML 标签：标题转粗体，列表保留符号，表格转等宽文本。
+ * 未闭合的标记按原文输出、未闭合的代码块延续到结尾，流式输出的半截文本也能得到合法的 HTML。
+ */
+
+import { escapeHtml } from './utils.js';
+
+const FENCE_RE = /^\s*(`{3,}|~{3,})\s*([\w+#.-]*)/;
+const TABLE_SEPARATOR_RE = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+const LIST_RE = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const HEADING_RE = /^\s{0,3}#{1,6}\s+(.*?)\s*#*\s*$/;
+const RULE_RE = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/;
+const QUOTE_RE = /^\s{0,3}>\s?(.*)$/;
+const SAFE_URL_RE = /^(https?:\/\/|tg:\/\/|mailto:)/i;
+
+function escapeAttr(text) {
+  return escapeHtml(text).replace(/"/g, '&quot;');
+}
+
+/**
+ * 转换为 Telegram HTML（parse_mode: 'HTML'）
+ * @param {string} text - Markdown 文本，可以是流式输出中的半截内容
+ */
+export function markdownToHtml(text) {
+  if (!text) return '';
+  return renderBlocks(text.split('\n'), false);
+}
+
+// ==================== 块级元素 ====================
+
+function renderBlocks(lines, inQuote) {
+  const out = [];
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+
+    // 代码块：未闭合时延续到结尾
+    const fence = line.match(FENCE_RE);
+    if (fence) {
+      const marker = fence[1];
+      const body = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith(marker)) body.push(lines[i++]);
+      i++;
+      out.push(renderCodeBlock(body.join('\n'), fence[2], inQuote));
+      continue;
+    }
+
+    // 表格：表头下一行是分隔行
+    if (line.includes('|') && i + 1 < lines.length && TABLE_SEPARATOR_RE.test(lines[i + 1]) && lines[i + 1].includes('-')) {
+      const rows = [line];
+      i += 2;
+      while (i < lines.length && lines[i].includes('|') && lines[i].trim()) rows.push(lines[i++]);
+      out.push(renderTable(rows, inQuote));
+      continue;
+    }
+
+    // 引用块：Telegram 不支持嵌套引用，引用内的 > 直接去掉
+    if (QUOTE_RE.test(line)) {
+      const body = [];
+      while (i < lines.length && QUOTE_RE.test(lines[i])) body.push(lines[i++].match(QUOTE_RE)[1]);
+      const inner = renderBlocks(body, true);
+      out.push(inQuote ? inner : `<blockquote>${inner}</blockquote>`);
+      continue;
+    }
+
+    out.push(renderLine(line));
+    i++;
+  }
+  return out.join('\n');
+}
+
+function renderLine(line) {
+  if (RULE_RE.test(line)) return '──────────';
+
+  const heading = line.match(HEADING_RE);
+  if (heading) return `<b>${renderInline(heading[1])}</b>`;
+
+  const item = line.match(LIST_RE);
+  if (item) {
+    const indent = '  '.repeat(Math.floor(item[1].replace(/\t/g, '  ').length / 2));
+    const bullet = /\d/.test(item[2]) ? item[2] : '•';
+    let content = item[3];
+    const task = content.match(/^\[([ xX])\]\s+(.*)$/);
+    if (task) content = (task[1] === ' ' ? '☐ ' : '☑ ') + task[2];
+    return `${indent}${bullet} ${renderInline(content)}`;
+  }
+
+  return renderInline(line);
+}
+
+function renderCodeBlock(code, language, inQuote) {
+  // 引用块内不放 pre，用行内代码显示
+  if (inQuote) return code ? `<code>${escapeHtml(code)}</code>` : '';
+  const attr = language ? ` class="language-${escapeAttr(language)}"` : '';
+  return `<pre><code${attr}>${escapeHtml(code)}</code></pre>`;
+}
+
+// ==================== 表格 ====================
+
+function splitRow(row) {
+  let text = row.trim();
+  if (text.startsWith('|')) text = text.slice(1);
+  if (text.endsWith('|') && !text.endsWith('\\|')) text = text.slice(0, -1);
+  return text.split(/(?<!\\)\|/).map(cell =>
+    cell.trim().replace(/\\\|/g, '|').replace(/\*\*|__|`/g, ''));
+}
+
+// 显示宽度：中日韩文字和全角符号按两个字符计算
+function displayWidth(text) {
+  let width = 0;
+  for (const ch of text) {
+    width += /[\u1100-\u115F\u2E80-\uA4CF\uAC00-\uD7A3\uF900-\uFAFF\uFE30-\uFE4F\uFF00-\uFF60\uFFE0-\uFFE6]/.test(ch) ? 2 : 1;
+  }
+  return width;
+}
+
+function renderTable(rows, inQuote) {
+  const cells = rows.map(splitRow);
+  // 行数很多时展开成参数会超出调用栈，用 reduce 取最大值
+  const columns = cells.reduce((max, row) => Math.max(max, row.length), 0);
+  const widths = Array.from({ length: columns }, (_, c) =>
+    cells.reduce((max, row) => Math.max(max, displayWidth(row[c] || '')), 0));
+  const format = row => widths
+    .map((width, c) => {
+      const cell = row[c] || '';
+      return cell + ' '.repeat(width - displayWidth(cell));
+    })
+    .join(' │ ')
+    .trimEnd();
+  const lines = [format(cells[0]), widths.map(w => '─'.repeat(w)).join('─┼─'), ...cells.slice(1).map(format)];
+  return renderCodeBlock(lines.join('\n'), '', inQuote);
+}
+
+// ==================== 行内元素 ====================
+
+const EMPHASIS = [
+  { delim: '**', tag: 'b' },
+  { delim: '__', tag: 'b' },
+  { delim: '~~', tag: 's' },
+  { delim: '||', tag: 'tg-spoiler' },
+  { delim: '*', tag: 'i' },
+  { delim: '_', tag: 'i' },
+];
+
+const isWordChar = ch => !!ch && /[\p{L}\p{N}]/u.test(ch);
+
+function renderInline(text) {
+  let out = '';
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+
+    // 反斜杠转义
+    if (ch === '\\' && /[\\`*_{}[\]()#+\-.!|~>]/.test(text[i + 1] || '')) {
+      out += escapeHtml(text[i + 1]);
+      i += 2;
+      continue;
+    }
+
+    // 行内代码
+    if (ch === '`') {
+      const ticks = text.slice(i).match(/^`+/)[0];
+      const close = text.indexOf(ticks, i + ticks.length);
+      if (close > 0) {
+        out += `<code>${escapeHtml(text.slice(i + ticks.length, close).trim())}</code>`;
+        i = close + ticks.length;
+      } else {
+        out += escapeHtml(ticks);
+        i += ticks.length;
+      }
+      continue;
+    }
+
+    // 链接 [文字](地址)
+    if (ch === '[') {
+      const link = matchLink(text, i);
+      if (link) {
+        const label = renderInline(link.label);
+        out += SAFE_URL_RE.test(link.url) ? `<a href="${escapeAttr(link.url)}">${label}</a>` : label;
+        i = link.end;
+        continue;
+      }
+    }
+
+    // 自动链接 <https://...>
+    if (ch === '<') {
+      const auto = text.slice(i).match(/^<((?:https?|tg):\/\/[^\s<>]+)>/);
+      if (auto) {
+        out += `<a href="${escapeAttr(auto[1])}">${escapeHtml(auto[1])}</a>`;
+        i += auto[0].length;
+        continue;
+      }
+    }
+
+    const emphasis = EMPHASIS.find(e => text.startsWith(e.delim, i));
+    if (emphasis) {
+      const close = findClosing(text, i, emphasis.delim);
+      if (close > 0) {
+        const inner = text.slice(i + emphasis.delim.length, close);
+        out += `<${emphasis.tag}>${renderInline(inner)}</${emphasis.tag}>`;
+        i = close + emphasis.delim.length;
+        continue;
+      }
+      // 没有配对：整段分隔符按原文输出
+      const run = text.slice(i).match(new RegExp(`^\\${ch}+`))[0];
+      out += escapeHtml(run);
+      i += run.length;
+      continue;
+    }
+
+    out += escapeHtml(ch);
+    i++;
+  }
+  return out;
+}
+
+// 匹配 [文字](地址)，文字中允许嵌套方括号
+function matchLink(text, start) {
+  let depth = 0;
+  for (let j = start; j < text.length; j++) {
+    if (text[j] === '\\') { j++; continue; }
+    if (text[j] === '[') depth++;
+    else if (text[j] === ']' && --depth === 0) {
+      const url = text.slice(j + 1).match(/^\(\s*([^\s()]+(?:\([^\s()]*\))?[^\s()]*)(?:\s+"[^"]*")?\s*\)/);
+      if (!url) return null;
+      return { label: text.slice(start + 1, j), url: url[1], end: j + 1 + url[0].length };
+    }
+  }
+  return null;
+}
+
+/**
+ * 查找强调标记的闭合位置，找不到返回 -1
+ * 开始标记后和结束标记前不能是空白；下划线不能在单词内部（避免 snake_case 被当成斜体）
+ */
+function findClosing(text, start, delim) {
+  const ch = delim[0];
+  const open = start + delim.length;
+  if (!text[open] || /\s/.test(text[open])) return -1;
+  if (ch === '_' && isWordChar(text[start - 1])) return -1;
+
+  for (let j = open; j < text.length; j++) {
+    const c = text[j];
+    if (c === '\\') { j++; continue; }
+    if (c === '`') {
+      // 跳过行内代码
+      const ticks = text.slice(j).match(/^`+/)[0];
+      const close = text.indexOf(ticks, j + ticks.length);
+      if (close < 0) return -1;
+      j = close + ticks.length - 1;
+      continue;
+    }
+    if (c !== ch) continue;
+
+    const run = text.slice(j).match(new RegExp(`^\\${ch}+`))[0].length;
+    // 单字符标记遇到成对的（如 *斜体里的 **粗体***）跳过
+    if (delim.length === 1 && run === 2) { j += run - 1; continue; }
+    if (run < delim.length) continue;
+    // 连续多个标记时用最后几个闭合（***粗斜体***）
+    const close = j + run - delim.length;
+    if (j > open && !/\s/.test(text[j - 1]) && !(ch === '_' && isWordChar(text[close + delim.length]))) {
+      return close;
+    }
+    j += run - 1;
+  }
+  return -1;
+}
+
+// ==================== 长文本分段 ====================
+
+/**
+ * 按 Telegram 消息长度切分 Markdown，转换后的 HTML 每段都不超过 maxLen
+ * 只在行边界切分（优先空行），切在代码块中间时在本段末尾闭合、下一段开头重新打开
+ * @returns {Array<{ text: string, end: number, fence: string | null }>}
+ *   text: 本段 Markdown；end: 本段在原文中的结束位置；fence: 本段结束时未闭合的代码块开始行
+ */
+export function splitMarkdown(text, maxLen) {
+  // entry: { line, end, fence }，end 为该行（含换行符）在原文中的结束位置，fence 为该行之后仍未闭合的代码块
+  const entries = [];
+  let fence = null;
+  let offset = 0;
+  for (const line of text.split('\n')) {
+    if (fence) {
+      if (line.trim().startsWith(fence.marker)) fence = null;
+    } else {
+      const match = line.match(FENCE_RE);
+      if (match) fence = { line, marker: match[1] };
+    }
+    entries.push(...splitLongLine(line, offset, fence, maxLen, text.length));
+    offset += line.length + 1;
+  }
+
+  const render = (list) => {
+    const lines = list.map(e => e.line);
+    const open = list[list.length - 1]?.fence;
+    if (open) lines.push(open.marker);
+    return lines.join('\n');
+  };
+  const fits = list => markdownToHtml(render(list)).length <= maxLen;
+
+  const chunks = [];
+  let current = [];
+  const emit = (list) => {
+    const last = list[list.length - 1];
+    chunks.push({ text: render(list), end: last.end, fence: last.fence?.line || null });
+    // 下一段以重新打开的代码块开头（不对应原文）
+    return last.fence ? [{ line: last.fence.line, end: last.end, fence: last.fence }] : [];
+  };
+
+  for (const entry of entries) {
+    if (fits([...current, entry])) {
+      current.push(entry);
+      continue;
+    }
+    // 后半段有空行时在空行处切分
+    let cut = current.length;
+    for (let i = current.length - 1; i > current.length / 2; i--) {
+      if (!current[i].line.trim()) {
+        const rest = current.slice(i + 1);
+        if (fits([...rest, entry])) cut = i + 1;
+        break;
+      }
+    }
+    const head = current.slice(0, cut);
+    const rest = current.slice(cut);
+    current = head.length ? [...emit(head), ...rest, entry] : [entry];
+    // 重新打开的代码块加上当前行仍放不下时，单独成段
+    if (current.length > 1 && !fits(current)) {
+      current = [...emit(current.slice(0, -1)), entry];
+    }
+  }
+  if (current.length) chunks.push({ text: render(current), end: text.length, fence: current[current.length - 1].fence?.line || null });
+  return chunks;
+}
+
+// 单行超长时按长度切开（尽量在空白处），长度按转义后的 HTML 计算（如 < 转义后占 4 个字符）
+function splitLongLine(line, offset, fence, maxLen, textLength) {
+  const limit = Math.floor(maxLen * 3 / 4);
+  const lineEnd = Math.min(offset + line.length + 1, textLength);
+  if (escapeHtml(line).length <= limit) return [{ line, end: lineEnd, fence }];
+  const pieces = [];
+  let start = 0;
+  let width = 0;
+  for (let i = 0; i < line.length; i++) {
+    width += escapeHtml(line[i]).length;
+    if (width <= limit) continue;
+    // line[i] 放不下：在 i 之前切开，后半段优先在空格处
+    let cut = line.lastIndexOf(' ', i - 1);
+    if (cut <= start + (i - start) / 2) cut = i;
+    pieces.push({ line: line.slice(start, cut), end: offset + cut, fence });
+    start = cut;
+    width = escapeHtml(line.slice(start, i + 1)).length;
+  }
+  pieces.push({ line: line.slice(start), end: lineEnd, fence });
+  return pieces;
+}
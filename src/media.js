@@ -0,0 +1,153 @@
+/**
+ * 音视频处理模块
+ * 语音转文字（可插拔后端）、用 ffmpeg 从视频中提取音频和画面
+ */
+
+import { resolve, basename, dirname } from 'path';
+import { tmpdir } from 'os';
+import { mkdir, readFile, rm } from 'fs/promises';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { STT_BACKEND, STT_COMMAND, STT_API_URL, STT_API_KEY, STT_MODEL, FFMPEG_BIN } from './config.js';
+
+const execFileAsync = promisify(execFile);
+
+const STT_TIMEOUT_MS = 10 * 60 * 1000;
+const FFMPEG_TIMEOUT_MS = 2 * 60 * 1000;
+const WORK_DIR = resolve(tmpdir(), 'botk-media');
+
+// 语音转文字后端：输入音频文件路径，返回识别出的文字
+const STT_BACKENDS = {
+  // 本地命令（如 whisper.cpp），输入先转成 16kHz 单声道 wav，识别结果从 stdout 读取
+  async command(path) {
+    if (!STT_COMMAND) throw new Error('未设置 STT_COMMAND');
+    const wav = await toWav(path);
+    try {
+      const [bin, ...args] = STT_COMMAND.split(/\s+/).map(arg => arg.replace('{input}', wav));
+      const { stdout } = await execFileAsync(bin, args, { timeout: STT_TIMEOUT_MS, maxBuffer: 16 * 1024 * 1024 });
+      return stdout;
+    } catch (err) {
+      if (err.code === 'ENOENT') throw new Error(`未安装 ${STT_COMMAND.split(/\s+/)[0]}`);
+      throw new Error(err.killed ? '语音识别超时' : '语音识别命令执行失败');
+    } finally {
+      await rm(wav, { force: true });
+    }
+  },
+
+  // OpenAI 兼容的 /audio/transcriptions 接口
+  async openai(path) {
+    if (!STT_API_KEY) throw new Error('未设置 STT_API_KEY');
+    const form = new FormData();
+    form.append('model', STT_MODEL);
+    form.append('file', new Blob([await readFile(path)]), basename(path));
+    const resp = await fetch(`${STT_API_URL}/audio/transcriptions`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${STT_API_KEY}` },
+      body: form,
+      signal: AbortSignal.timeout(STT_TIMEOUT_MS),
+    });
+    if (!resp.ok) throw new Error(`语音识别服务返回 ${resp.status}`);
+    return (await resp.json()).text || '';
+  },
+};
+
+export function isSpeechEnabled() {
+  return !!STT_BACKENDS[STT_BACKEND];
+}
+
+/**
+ * 语音 / 音频转文字
+ * @throws 未配置或识别失败时抛出错误，message 可以直接展示给用户
+ */
+export async function transcribe(path) {
+  const backend = STT_BACKENDS[STT_BACKEND];
+  if (!backend) throw new Error('未配置语音识别（STT_BACKEND）');
+  const text = (await backend(path)).trim();
+  if (!text) throw new Error('没有识别到语音内容');
+  return text;
+}
+
+async function runFfmpeg(args) {
+  try {
+    return await execFileAsync(FFMPEG_BIN, ['-hide_banner', '-loglevel', 'error', '-y', ...args], { timeout: FFMPEG_TIMEOUT_MS });
+  } catch (err) {
+    if (err.code === 'ENOENT') throw new Error(`未安装 ${FFMPEG_BIN}`);
+    throw new Error(err.killed ? 'ffmpeg 处理超时' : '音视频文件无法解析');
+  }
+}
+
+async function workPath(name) {
+  await mkdir(WORK_DIR, { recursive: true });
+  return resolve(WORK_DIR, `${Date.now()}_${Math.random().toString(36).slice(2, 8)}_${name}`);
+}
+
+// 转换为 16kHz 单声道 wav（语音识别常用的输入格式）
+async function toWav(path) {
+  const out = await workPath('audio.wav');
+  await runFfmpeg(['-i', path, '-vn', '-ac', '1', '-ar', '16000', out]);
+  return out;
+}
+
+// 提取视频音轨并转文字
+export async function transcribeVideo(path) {
+  const wav = await toWav(path);
+  try {
+    return await transcribe(wav);
+  } finally {
+    await rm(wav, { force: true });
+  }
+}
+
+// 提取视频的第一条音轨，转成 AAC 保存到 out（m4a）
+export async function extractAudio(path, out) {
+  await runFfmpeg(['-i', path, '-map', '0:a:0', '-vn', '-c:a', 'aac', '-b:a', '128k', out]);
+}
+
+// 媒体时长（秒），从 ffmpeg 输出中读取
+async function probeDuration(path) {
+  let output = '';
+  try {
+    await execFileAsync(FFMPEG_BIN, ['-hide_banner', '-i', path], { timeout: FFMPEG_TIMEOUT_MS });
+  } catch (err) {
+    if (err.code === 'ENOENT') throw new Error(`未安装 ${FFMPEG_BIN}`);
+    output = err.stderr || '';
+  }
+  const match = output.match(/Duration: (\d+):(\d+):(\d+(?:\.\d+)?)/);
+  return match ? Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]) : 0;
+}
+
+/**
+ * 按时间均匀截取视频画面
+ * 截图放在临时目录中，用完后调用 removeFrames 删除
+ * @returns {Promise<string[]>} 截图路径（jpg，按时间顺序）
+ */
+export async function extractFrames(path, count = 4) {
+  const duration = await probeDuration(path);
+  const dir = await workPath('frames');
+  await mkdir(dir, { recursive: true });
+  const times = duration ? Array.from({ length: count }, (_, i) => (duration * (i + 0.5)) / count) : [0];
+  const frames = [];
+  try {
+    for (const [i, time] of times.entries()) {
+      const out = resolve(dir, `frame_${i + 1}.jpg`);
+      await runFfmpeg(['-ss', time.toFixed(2), '-i', path, '-frames:v', '1', '-vf', 'scale=min(1280\\,iw):-2', '-q:v', '3', out]);
+      frames.push(out);
+    }
+  } catch (err) {
+    await rm(dir, { recursive: true, force: true });
+    throw err;
+  }
+  return frames;
+}
+
+// 删除 extractFrames 生成的截图
+export async function removeFrames(frames) {
+  if (!frames.length) return;
+  await rm(dirname(frames[0]), { recursive: true, force: true }).catch(() => {});
+}
+
+// 1:05 形式的时长
+export function formatDuration(seconds) {
+  const s = Math.round(seconds);
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+}
@@ -2,111 +2,288 @@
  * AI 模型管理模块
  */
 
-import { getModel } from '@mariozechner/pi-ai';
-
-// ==================== 可用模型配置 ====================
-
-const MODEL_DEFINITIONS = [
-  { 
-    provider: 'deepseek', 
-    id: 'deepseek-chat', 
-    name: 'DeepSeek Chat', 
-    envKey: 'DEEPSEEK_API_KEY',
-    customModel: {
-      id: 'deepseek-chat',
-      name: 'DeepSeek Chat',
-      api: 'openai-completions',
-      provider: 'deepseek',
-      baseUrl: 'https://api.deepseek.com',
-      apiKeyEnvVar: 'DEEPSEEK_API_KEY',
-      reasoning: false,
-      input: ['text'],
-      cost: { input: 0, output: 0, cacheRead: 0, cacheWrite: 0 },
-      contextWindow: 64000,
-      maxTokens: 8192,
+import { resolve } from 'path';
+import { existsSync, readFileSync } from 'fs';
+import { getEnvApiKey, getProviders } from '@mariozechner/pi-ai';
+import { AuthStorage, ModelRegistry } from '@mariozechner/pi-coding-agent';
+import { AGENT_DIR, MODELS_CATALOG } from './config.js';
+import { userRepo, settingsRepo, providerRepo } from '../db.js';
+import { supportsImages } from './vision.js';
+
+// ==================== 模型价格表 ====================
+
+// 单位：美元 / 百万 tokens（参考各服务商官网公开价格，调整价格只需改这里）
+const MODEL_PRICES = {
+  'deepseek-chat': { input: 0.27, output: 1.10, cacheRead: 0.07, cacheWrite: 0 },
+  'deepseek-reasoner': { input: 0.55, output: 2.19, cacheRead: 0.14, cacheWrite: 0 },
+  'gpt-4o': { input: 2.5, output: 10, cacheRead: 1.25, cacheWrite: 0 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6, cacheRead: 0.075, cacheWrite: 0 },
+  'gpt-4-turbo': { input: 10, output: 30, cacheRead: 0, cacheWrite: 0 },
+  'gemini-2.0-flash': { input: 0.1, output: 0.4, cacheRead: 0.025, cacheWrite: 0 },
+  'gemini-1.5-flash': { input: 0.075, output: 0.3, cacheRead: 0.01875, cacheWrite: 0 },
+  'gemini-1.5-pro': { input: 1.25, output: 5, cacheRead: 0.3125, cacheWrite: 0 },
+  'moonshot-v1-8k': { input: 1.65, output: 1.65, cacheRead: 0, cacheWrite: 0 },
+  'moonshot-v1-32k': { input: 3.3, output: 3.3, cacheRead: 0, cacheWrite: 0 },
+  'moonshot-v1-128k': { input: 8.3, output: 8.3, cacheRead: 0, cacheWrite: 0 },
+};
+
+// ==================== 模型目录 ====================
+
+// 目录来源：.pi/agent/models.json（内置服务商用 modelOverrides 声明要展示的模型）+ 数据库中运行时添加的服务商
+// 条目: { provider, id, name, source: 'catalog' | 'runtime' }
+let catalog = [];
+// 实际能取到 API Key 的服务商（PI 的 hasAuth 对 models.json 中环境变量未设置的服务商也返回 true，不能用）
+let keyedProviders = new Set();
+let authStorage = null;
+let modelRegistry = null;
+
+// 运行时服务商的默认参数（OpenAI 兼容接口）
+const RUNTIME_MODEL_DEFAULTS = {
+  reasoning: false,
+  input: ['text'],
+  cost: { input: 0, output: 0, cacheRead: 0, cacheWrite: 0 },
+  contextWindow: 128000,
+  maxTokens: 8192,
+};
+
+function readCatalogFile() {
+  if (!existsSync(MODELS_CATALOG)) return {};
+  try {
+    return JSON.parse(readFileSync(MODELS_CATALOG, 'utf-8')).providers || {};
+  } catch (err) {
+    console.error(`[Models] 读取 ${MODELS_CATALOG} 失败:`, err.message);
+    return {};
+  }
+}
+
+// 解析服务商的 API Key：models.json 中 apiKey 填环境变量名，内置服务商用 PI 约定的环境变量
+function resolveProviderKey(provider, config) {
+  if (config.apiKey) return process.env[config.apiKey] || (/^[A-Z][A-Z0-9_]*$/.test(config.apiKey) ? undefined : config.apiKey);
+  return getEnvApiKey(provider);
+}
+
+function registerRuntimeProvider(provider) {
+  modelRegistry.registerProvider(provider.name, {
+    baseUrl: provider.base_url,
+    apiKey: provider.api_key,
+    api: 'openai-completions',
+    models: provider.models.map(id => ({ id, name: id, ...RUNTIME_MODEL_DEFAULTS })),
+  });
+  authStorage.setRuntimeApiKey(provider.name, provider.api_key);
+}
+
+// 重新生成模型目录并为每个服务商注册 API Key
+function rebuildCatalog() {
+  const entries = [];
+  const keyed = new Set();
+  for (const [provider, config] of Object.entries(readCatalogFile())) {
+    const key = resolveProviderKey(provider, config);
+    if (key) authStorage.setRuntimeApiKey(provider, key);
+    // auth.json 中保存的凭据（/login 登录等）也算
+    if (key || authStorage.has(provider)) keyed.add(provider);
+    const ids = config.models?.length ? config.models.map(m => m.id) : Object.keys(config.modelOverrides || {});
+    for (const id of ids) {
+      const model = modelRegistry.find(provider, id);
+      if (!model) {
+        console.warn(`[Models] 目录中的模型不存在: ${provider}/${id}`);
+        continue;
+      }
+      entries.push({ provider, id, name: model.name || id, source: 'catalog' });
+    }
+  }
+  for (const provider of providerRepo.list()) {
+    keyed.add(provider.name);
+    for (const id of provider.models) {
+      entries.push({ provider: provider.name, id, name: id, source: 'runtime' });
     }
-  },
-  { 
-    provider: 'deepseek', 
-    id: 'deepseek-reasoner', 
-    name: 'DeepSeek R1', 
-    envKey: 'DEEPSEEK_API_KEY',
-    customModel: {
-      id: 'deepseek-reasoner',
-      name: 'DeepSeek R1',
-      api: 'openai-completions',
-      provider: 'deepseek',
-      baseUrl: 'https://api.deepseek.com',
-      apiKeyEnvVar: 'DEEPSEEK_API_KEY',
-      reasoning: true,
-      input: ['text'],
-      cost: { input: 0, output: 0, cacheRead: 0, cacheWrite: 0 },
-      contextWindow: 64000,
-      maxTokens: 8192,
+  }
+  catalog = entries;
+  keyedProviders = keyed;
+}
+
+/**
+ * 初始化模型目录（需在创建会话前调用）
+ */
+export function initModelCatalog() {
+  authStorage = new AuthStorage(resolve(AGENT_DIR, 'auth.json'));
+  modelRegistry = new ModelRegistry(authStorage, MODELS_CATALOG);
+  const error = modelRegistry.getError();
+  if (error) console.error('[Models]', error);
+  for (const provider of providerRepo.list()) {
+    try {
+      registerRuntimeProvider(provider);
+    } catch (err) {
+      console.error(`[Models] 注册服务商 ${provider.name} 失败:`, err.message);
     }
-  },
-  { provider: 'openai', id: 'gpt-4o', name: 'GPT-4o', envKey: 'OPENAI_API_KEY' },
-  { provider: 'openai', id: 'gpt-4o-mini', name: 'GPT-4o Mini', envKey: 'OPENAI_API_KEY' },
-  { provider: 'openai', id: 'gpt-4-turbo', name: 'GPT-4 Turbo', envKey: 'OPENAI_API_KEY' },
-  { provider: 'google', id: 'gemini-2.0-flash', name: 'Gemini 2.0 Flash', envKey: 'GEMINI_API_KEY' },
-  { provider: 'google', id: 'gemini-1.5-flash', name: 'Gemini 1.5 Flash', envKey: 'GEMINI_API_KEY' },
-  { provider: 'google', id: 'gemini-1.5-pro', name: 'Gemini 1.5 Pro', envKey: 'GEMINI_API_KEY' },
-  { provider: 'kimi', id: 'moonshot-v1-32k', name: 'Kimi 32K', envKey: 'MOONSHOT_API_KEY' },
-  { provider: 'kimi', id: 'moonshot-v1-128k', name: 'Kimi 128K', envKey: 'MOONSHOT_API_KEY' },
-];
-
-// 当前选择的模型索引
-let currentModelIndex = 0;
+  }
+  rebuildCatalog();
+}
+
+export function getAuthStorage() {
+  return authStorage;
+}
+
+export function getModelRegistry() {
+  return modelRegistry;
+}
+
+// ==================== 运行时服务商 ====================
+
+const PROVIDER_NAME_RE = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+// 校验并保存 OpenAI 兼容服务商，返回错误信息或 null
+export function saveRuntimeProvider({ name, baseUrl, apiKey, models }, userId) {
+  if (!PROVIDER_NAME_RE.test(name)) return '名称只能包含小写字母、数字、- 和 _';
+  if (readCatalogFile()[name] || getProviders().includes(name)) return `${name} 是内置服务商，不能覆盖`;
+  if (!/^https?:\/\/\S+$/.test(baseUrl)) return 'baseUrl 必须以 http:// 或 https:// 开头';
+  if (!apiKey || apiKey.startsWith('!')) return 'API Key 无效';
+  if (!models.length || models.some(id => !/^[\w.:/-]+$/.test(id))) return '模型 ID 无效';
+
+  const provider = { name, base_url: baseUrl.replace(/\/+$/, ''), api_key: apiKey, models };
+  registerRuntimeProvider(provider);
+  providerRepo.upsert(provider, userId);
+  rebuildCatalog();
+  return null;
+}
+
+export function removeRuntimeProvider(name) {
+  if (!providerRepo.get(name)) return false;
+  providerRepo.remove(name);
+  authStorage.removeRuntimeApiKey(name);
+  // PI 没有注销服务商的接口：去掉注册记录后重新加载，已注册的其他服务商会重新应用
+  modelRegistry.registeredProviders.delete(name);
+  modelRegistry.refresh();
+  rebuildCatalog();
+  return true;
+}
+
+export function getRuntimeProviders() {
+  return providerRepo.list();
+}
+
+// 目录中的服务商及 Key 状态（/providers 展示用）
+export function getCatalogProviders() {
+  const providers = new Map();
+  for (const m of catalog) {
+    if (!providers.has(m.provider)) {
+      providers.set(m.provider, { name: m.provider, source: m.source, hasKey: keyedProviders.has(m.provider), models: [] });
+    }
+    providers.get(m.provider).models.push(m.id);
+  }
+  return [...providers.values()];
+}
+
+// ==================== 模型选择 ====================
+
+// 未设置 allowed_models 时，普通用户可使用全部可用模型
+const ALLOWED_MODELS_KEY = 'allowed_models';
+
+// 模型唯一标识（保存在 users.model / settings 中）
+export function getModelKey(modelDef) {
+  return `${modelDef.provider}/${modelDef.id}`;
+}
 
 // 获取当前可用的模型（API Key 已配置的）
 export function getAvailableModels() {
-  return MODEL_DEFINITIONS.filter(m => process.env[m.envKey]);
+  return catalog.filter(m => keyedProviders.has(m.provider));
 }
 
-// 获取当前选择的模型对象
-export function getCurrentModel() {
+// 获取管理员允许普通用户使用的模型
+export function getAllowedModels() {
   const available = getAvailableModels();
-  if (!available.length) return null;
-  if (currentModelIndex >= available.length) currentModelIndex = 0;
-  const modelDef = available[currentModelIndex];
-  
-  if (modelDef.customModel) {
-    return modelDef.customModel;
-  }
-  
-  return getModel(modelDef.provider, modelDef.id);
+  const allowed = settingsRepo.get(ALLOWED_MODELS_KEY);
+  if (!Array.isArray(allowed)) return available;
+  const filtered = available.filter(m => allowed.includes(getModelKey(m)));
+  // 白名单里的模型都不可用时退回第一个可用模型，避免普通用户无模型可用
+  return filtered.length ? filtered : available.slice(0, 1);
 }
 
-// 获取当前模型的显示名称
-export function getCurrentModelName() {
+// 切换某个模型是否允许普通用户使用
+export function toggleAllowedModel(modelKey) {
   const available = getAvailableModels();
-  if (!available.length) return '无可用模型';
-  if (currentModelIndex >= available.length) currentModelIndex = 0;
-  return available[currentModelIndex].name;
+  if (!available.some(m => getModelKey(m) === modelKey)) return false;
+  const current = settingsRepo.get(ALLOWED_MODELS_KEY);
+  const keys = new Set(Array.isArray(current) ? current : available.map(getModelKey));
+  if (keys.has(modelKey)) keys.delete(modelKey);
+  else keys.add(modelKey);
+  settingsRepo.set(ALLOWED_MODELS_KEY, [...keys]);
+  return true;
 }
 
-// 获取当前模型索引
-export function getCurrentModelIndex() {
-  return currentModelIndex;
+// 获取用户可选的模型列表（管理员可用全部模型）
+export function getSelectableModels(admin) {
+  return admin ? getAvailableModels() : getAllowedModels();
 }
 
-// 设置当前模型索引
-export function setCurrentModelIndex(index) {
-  const available = getAvailableModels();
-  if (index >= 0 && index < available.length) {
-    currentModelIndex = index;
-    return true;
-  }
-  return false;
+// 获取用户当前使用的模型定义：未选择或已不可选时使用列表中的第一个
+export function getUserModelDef(userId, admin = false) {
+  const selectable = getSelectableModels(admin);
+  if (!selectable.length) return null;
+  const saved = userId ? userRepo.get(userId)?.model : null;
+  return selectable.find(m => getModelKey(m) === saved) || selectable[0];
+}
+
+// 由目录条目得到 PI 模型对象
+function resolveModel(modelDef) {
+  return modelRegistry.find(modelDef.provider, modelDef.id);
+}
+
+// 获取用户当前使用的模型对象
+export function getUserModel(userId, admin = false) {
+  const modelDef = getUserModelDef(userId, admin);
+  return modelDef ? resolveModel(modelDef) : null;
+}
+
+// 回退链：按可选模型顺序排列的其他服务商模型（同一服务商通常同时限流或故障）
+// 提问带图片时只回退到支持图片输入的模型（图片已按原模型的能力准备好，不能再换成 OCR 文字）
+export function getFallbackModels(model, admin = false, { images = false } = {}) {
+  return getSelectableModels(admin)
+    .filter(m => m.provider !== model?.provider)
+    .map(resolveModel)
+    .filter(m => m && (!images || supportsImages(m)));
+}
+
+// 模型显示名称
+export function getModelDisplayName(model) {
+  if (!model) return '未知模型';
+  return catalog.find(m => m.provider === model.provider && m.id === model.id)?.name || model.name || model.id;
+}
+
+// 获取用户当前模型的显示名称
+export function getUserModelName(userId, admin = false) {
+  return getUserModelDef(userId, admin)?.name || '无可用模型';
+}
+
+// 设置用户的模型（只能选择自己可选的模型）
+export function setUserModel(userId, modelKey, admin = false) {
+  if (!getSelectableModels(admin).some(m => getModelKey(m) === modelKey)) return false;
+  userRepo.setModel(userId, modelKey);
+  return true;
+}
+
+// 默认模型的显示名称（普通用户未选择时使用）
+export function getDefaultModelName() {
+  return getAllowedModels()[0]?.name || '无可用模型';
+}
+
+// 按价格表计算一次调用的费用（美元），价格表没有的模型退回到 PI 内置价格
+export function calculateCost(modelId, usage, fallbackPrice = null) {
+  const price = MODEL_PRICES[modelId] || fallbackPrice;
+  if (!price || !usage) return 0;
+  return (
+    (usage.input || 0) * price.input +
+    (usage.output || 0) * price.output +
+    (usage.cacheRead || 0) * (price.cacheRead || 0) +
+    (usage.cacheWrite || 0) * (price.cacheWrite || 0)
+  ) / 1_000_000;
 }
 
 // 打印 API Key 状态（调试用）
 export function logApiKeyStatus() {
   console.log('[DEBUG] API Key status:');
-  console.log('  DEEPSEEK_API_KEY:', process.env.DEEPSEEK_API_KEY ? 'SET' : 'NOT SET');
-  console.log('  OPENAI_API_KEY:', process.env.OPENAI_API_KEY ? 'SET' : 'NOT SET');
-  console.log('  GEMINI_API_KEY:', process.env.GEMINI_API_KEY ? 'SET' : 'NOT SET');
-  console.log('  MOONSHOT_API_KEY:', process.env.MOONSHOT_API_KEY ? 'SET' : 'NOT SET');
+  for (const p of getCatalogProviders()) {
+    console.log(`  ${p.name}${p.source === 'runtime' ? ' (运行时)' : ''}:`, p.hasKey ? 'SET' : 'NOT SET');
+  }
   const available = getAvailableModels();
   console.log('[DEBUG] Available models count:', available.length);
   console.log('[DEBUG] Available models:', available.map(m => m.name).join(', '));
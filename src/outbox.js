@@ -0,0 +1,120 @@
+/**
+ * 任务发件箱模块
+ * 每个任务一个发件目录：AI 写入该目录或通过 send_file 工具指定的文件，任务结束后发送给用户并记入 files 表
+ */
+
+import { resolve, basename, extname, sep } from 'path';
+import { existsSync } from 'fs';
+import { mkdir, readdir, stat, copyFile, rm, rmdir } from 'fs/promises';
+import { InputFile } from 'grammy';
+import { TG_UPLOAD_MAX_BYTES } from './config.js';
+import { formatBytes } from './utils.js';
+import { userRepo, fileRepo } from '../db.js';
+
+// 每个任务最多发送的文件数
+const MAX_FILES_PER_TASK = 10;
+// 这些格式作为图片发送（Bot API 图片上限 10MB，更大的按文件发送）
+const PHOTO_EXTS = ['.jpg', '.jpeg', '.png', '.webp'];
+const PHOTO_MAX_BYTES = 10 * 1024 * 1024;
+
+/**
+ * 为任务创建发件目录 uploads/<用户ID>/outbox/<时间戳>
+ * @returns {Promise<{ dir: string, userDir: string, files: Array<{ path: string, caption?: string }> }>}
+ *   files: send_file 工具登记的其他位置的文件
+ */
+export async function createOutbox(userId) {
+  const userDir = resolve(process.cwd(), 'uploads', String(userId));
+  const dir = resolve(userDir, 'outbox', String(Date.now()));
+  await mkdir(dir, { recursive: true });
+  return { dir, userDir, files: [] };
+}
+
+export function isInsideOutbox(outbox, path) {
+  return !!outbox && resolve(path).startsWith(outbox.dir + sep);
+}
+
+// 发件目录中的所有文件（含子目录）
+async function listOutboxFiles(dir) {
+  const entries = await readdir(dir, { recursive: true, withFileTypes: true });
+  return entries.filter(entry => entry.isFile()).map(entry => resolve(entry.parentPath ?? entry.path, entry.name));
+}
+
+// 在目录中生成不重名的路径
+function uniquePath(dir, name) {
+  const ext = extname(name);
+  const base = name.slice(0, name.length - ext.length);
+  let path = resolve(dir, name);
+  for (let n = 1; existsSync(path); n++) path = resolve(dir, `${base}_${n}${ext}`);
+  return path;
+}
+
+/**
+ * 发送发件箱中的文件，记入 files 表（计入存储配额），未发送的文件从发件目录删除
+ * @returns {Promise<number>} 发送的文件数
+ */
+export async function deliverOutbox(ctx, userId, outbox) {
+  const items = (await listOutboxFiles(outbox.dir)).map(path => ({ path }));
+  for (const file of outbox.files) {
+    const item = items.find(i => i.path === file.path);
+    if (item) item.caption = file.caption;
+    else items.push(file);
+  }
+
+  let sent = 0;
+  const skipped = [];
+  for (const item of items) {
+    const name = basename(item.path);
+    const inOutbox = isInsideOutbox(outbox, item.path);
+    const skip = async (reason) => {
+      skipped.push(`${name}（${reason}）`);
+      if (inOutbox) await rm(item.path, { force: true });
+    };
+
+    let size;
+    try {
+      size = (await stat(item.path)).size;
+    } catch {
+      await skip('文件不存在');
+      continue;
+    }
+    if (!size) { await skip('空文件'); continue; }
+    if (sent >= MAX_FILES_PER_TASK) { await skip(`超过每次 ${MAX_FILES_PER_TASK} 个文件的上限`); continue; }
+    if (size > TG_UPLOAD_MAX_BYTES) { await skip(`超过 ${formatBytes(TG_UPLOAD_MAX_BYTES)}`); continue; }
+    const user = userRepo.get(userId);
+    if (user && user.storage_bytes + size > user.storage_limit) {
+      await skip(`存储空间不足，剩余 ${formatBytes(Math.max(user.storage_limit - user.storage_bytes, 0))}`);
+      continue;
+    }
+
+    // 发件目录以外的文件先复制一份，删除用户数据时不影响原文件
+    const path = inOutbox ? item.path : uniquePath(outbox.dir, name);
+    try {
+      if (!inOutbox) await copyFile(item.path, path);
+      const options = item.caption ? { caption: item.caption.slice(0, 1000) } : {};
+      if (PHOTO_EXTS.includes(extname(name).toLowerCase()) && size <= PHOTO_MAX_BYTES) {
+        await ctx.replyWithPhoto(new InputFile(path), options);
+      } else {
+        await ctx.replyWithDocument(new InputFile(path, name), options);
+      }
+    } catch (err) {
+      console.error(`[Outbox] 发送失败 (${name}):`, err.message);
+      skipped.push(`${name}（发送失败）`);
+      await rm(path, { force: true });
+      continue;
+    }
+    fileRepo.add(userId, name, path, size);
+    sent++;
+  }
+
+  // 没有文件时删掉空的发件目录
+  try { await rmdir(outbox.dir); } catch {}
+
+  if (skipped.length) {
+    console.log(`[Outbox] 未发送: ${skipped.join(', ')}`);
+    try {
+      await ctx.reply(`⚠️ 以下文件未发送:\n${skipped.map(s => `• ${s}`).join('\n')}`);
+    } catch {}
+  }
+  if (sent) console.log(`[Outbox] 已发送 ${sent} 个文件给用户 ${userId}`);
+  return sent;
+}
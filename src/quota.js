@@ -0,0 +1,172 @@
+/**
+ * 用户配额模块
+ * 每日任务数、每月 token / 费用、单个任务最长运行时间，用户未单独设置时使用默认配额（管理员不受限制）
+ */
+
+import { TIMEOUT_MS } from './config.js';
+import { formatBytes, formatTokens, formatCost } from './utils.js';
+import { userRepo, taskRepo, settingsRepo } from '../db.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TZ_OFFSET_MS = 8 * 60 * 60 * 1000; // 按北京时间划分天和月，与用量报表一致
+
+// 配额项：column 为 users 表中的用户配额列（NULL 使用默认，0 不限）
+export const QUOTA_FIELDS = {
+  tasks: {
+    column: 'quota_tasks_day', label: '每日任务',
+    parse: value => parseAmount(value, {}),
+    format: value => `${value} 次`,
+  },
+  tokens: {
+    column: 'quota_tokens_month', label: '每月 Token',
+    parse: value => parseAmount(value, { k: 1e3, m: 1e6 }),
+    format: value => formatTokens(value),
+  },
+  cost: {
+    column: 'quota_cost_month', label: '每月费用',
+    parse: value => parseAmount(value.replace(/^\$/, ''), {}, true),
+    format: value => formatCost(value),
+  },
+  duration: {
+    column: 'quota_task_seconds', label: '单任务时长',
+    parse: value => parseAmount(value, { s: 1, m: 60, h: 3600 }, false, 60),
+    format: value => value % 60 ? `${value} 秒` : `${value / 60} 分钟`,
+  },
+  // 存储空间沿用 users.storage_limit，只能按用户设置
+  storage: {
+    column: 'storage_limit', label: '存储空间', userOnly: true,
+    parse: value => parseAmount(value, { kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 }, false, 1024 ** 2),
+    format: value => formatBytes(value),
+  },
+};
+
+// 解析数量，支持单位后缀（无后缀时乘以 defaultUnit），无效时返回 NaN
+export function parseAmount(value, units, decimal = false, defaultUnit = 1) {
+  const match = value.toLowerCase().match(/^(\d+(?:\.\d+)?)([a-z]*)$/);
+  if (!match) return NaN;
+  const unit = match[2] ? units[match[2]] : defaultUnit;
+  if (!unit) return NaN;
+  const amount = Number(match[1]) * unit;
+  return decimal ? amount : Math.round(amount);
+}
+
+// 北京时间的今天 / 本月开始时刻
+export function periodStart(period, at = Date.now()) {
+  const now = new Date(at + TZ_OFFSET_MS);
+  const start = period === 'month'
+    ? Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)
+    : Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+  return start - TZ_OFFSET_MS;
+}
+
+export function getDefaultQuota() {
+  return { tasks: 0, tokens: 0, cost: 0, duration: TIMEOUT_MS / 1000, ...settingsRepo.get('default_quota', {}) };
+}
+
+// 用户的实际配额（0 表示不限），custom 记录哪些项是单独设置的
+export function getUserQuota(userId) {
+  const defaults = getDefaultQuota();
+  const user = userRepo.get(userId);
+  const quota = { custom: {} };
+  for (const [name, field] of Object.entries(QUOTA_FIELDS)) {
+    const own = user?.[field.column];
+    if (field.userOnly) {
+      if (user) quota[name] = own;
+      continue;
+    }
+    quota[name] = own ?? defaults[name];
+    quota.custom[name] = own != null;
+  }
+  return quota;
+}
+
+export function getQuotaUsage(userId) {
+  const today = taskRepo.usageSince(userId, periodStart('day'));
+  const month = taskRepo.usageSince(userId, periodStart('month'));
+  return { tasksToday: today.tasks, tokensMonth: month.tokens, costMonth: month.cost };
+}
+
+/**
+ * 检查用户是否还能运行任务
+ * @returns {string | null} 配额用完时返回提示文字
+ */
+export function checkQuota(userId) {
+  const quota = getUserQuota(userId);
+  const usage = getQuotaUsage(userId);
+  if (quota.tasks && usage.tasksToday >= quota.tasks) {
+    return `⛔ 今日任务次数已用完（${usage.tasksToday}/${quota.tasks}），明天 0 点（北京时间）重置，或联系管理员调整配额。`;
+  }
+  if (quota.tokens && usage.tokensMonth >= quota.tokens) {
+    return `⛔ 本月 Token 额度已用完（${formatTokens(usage.tokensMonth)}/${formatTokens(quota.tokens)}），下月 1 日重置，或联系管理员调整配额。`;
+  }
+  if (quota.cost && usage.costMonth >= quota.cost) {
+    return `⛔ 本月费用额度已用完（${formatCost(usage.costMonth)}/${formatCost(quota.cost)}），下月 1 日重置，或联系管理员调整配额。`;
+  }
+  return null;
+}
+
+// 单个任务最长运行时间（毫秒）
+export function getTaskTimeout(userId) {
+  const seconds = getUserQuota(userId).duration;
+  return seconds ? seconds * 1000 : 0;
+}
+
+/**
+ * 解析 /setquota 参数，如 tasks=50 tokens=2M cost=5 duration=10m storage=100MB
+ * 值为 none 表示不限，default 表示恢复默认配额（仅用户）
+ * @returns {{ changes: object, error: string | null }} changes: 配额项 -> 数值（null 为恢复默认）
+ */
+export function parseQuotaArgs(args, forDefault) {
+  const changes = {};
+  for (const arg of args) {
+    const [name, value] = arg.split('=');
+    const field = QUOTA_FIELDS[name?.toLowerCase()];
+    if (!field || !value) return { changes, error: `❌ 无法识别: ${arg}` };
+    if (forDefault && field.userOnly) return { changes, error: `❌ ${field.label}只能按用户设置` };
+    if (value === 'default') {
+      if (forDefault || field.userOnly) return { changes, error: `❌ ${field.label}不能设为 default` };
+      changes[name.toLowerCase()] = null;
+      continue;
+    }
+    const amount = value === 'none' && !field.userOnly ? 0 : field.parse(value);
+    if (!Number.isFinite(amount) || amount < 0) return { changes, error: `❌ 无效的${field.label}: ${value}` };
+    changes[name.toLowerCase()] = amount;
+  }
+  return { changes, error: null };
+}
+
+export function setDefaultQuota(changes) {
+  settingsRepo.set('default_quota', { ...settingsRepo.get('default_quota', {}), ...changes });
+}
+
+export function setUserQuota(userId, changes) {
+  for (const [name, value] of Object.entries(changes)) {
+    userRepo.setQuota(userId, QUOTA_FIELDS[name].column, value);
+  }
+}
+
+function formatLimit(name, value) {
+  return value ? QUOTA_FIELDS[name].format(value) : '不限';
+}
+
+// 配额和剩余额度（/quota 和 /mydata 共用）
+export function formatQuotaLines(userId) {
+  const quota = getUserQuota(userId);
+  const usage = getQuotaUsage(userId);
+  const mark = name => quota.custom[name] ? '' : '（默认）';
+  const remaining = (used, limit, format) => limit ? `，剩余 ${format(Math.max(limit - used, 0))}` : '';
+  return [
+    `📅 今日任务: ${usage.tasksToday} / ${formatLimit('tasks', quota.tasks)}${mark('tasks')}${remaining(usage.tasksToday, quota.tasks, v => `${v} 次`)}`,
+    `🔢 本月 Token: ${formatTokens(usage.tokensMonth)} / ${formatLimit('tokens', quota.tokens)}${mark('tokens')}${remaining(usage.tokensMonth, quota.tokens, formatTokens)}`,
+    `💰 本月费用: ${formatCost(usage.costMonth)} / ${formatLimit('cost', quota.cost)}${mark('cost')}${remaining(usage.costMonth, quota.cost, formatCost)}`,
+    `⏱ 单任务时长: ${formatLimit('duration', quota.duration)}${mark('duration')}`,
+  ].join('\n');
+}
+
+export function formatDefaultQuota() {
+  const defaults = getDefaultQuota();
+  return Object.keys(QUOTA_FIELDS)
+    .filter(name => !QUOTA_FIELDS[name].userOnly)
+    .map(name => `  ${QUOTA_FIELDS[name].label}: ${formatLimit(name, defaults[name])}`)
+    .join('\n');
+}
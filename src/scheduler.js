@@ -0,0 +1,91 @@
+/**
+ * 全局并发调度模块
+ * 限制同时运行的 AI 任务数（可按服务商单独限制），超出时排队等待，管理员优先
+ */
+
+import { MAX_CONCURRENT_TASKS, PROVIDER_CONCURRENCY } from './config.js';
+
+const running = new Map(); // provider -> 运行中的任务数
+let runningTotal = 0;
+// 等待中的任务 [{ admin, provider, resolve, reject, onPosition, position }]
+const waiters = [];
+
+function providerLimit(provider) {
+  return PROVIDER_CONCURRENCY[provider] || Infinity;
+}
+
+function hasCapacity(provider) {
+  return runningTotal < MAX_CONCURRENT_TASKS && (running.get(provider) || 0) < providerLimit(provider);
+}
+
+function take(provider) {
+  runningTotal++;
+  running.set(provider, (running.get(provider) || 0) + 1);
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    runningTotal--;
+    running.set(provider, running.get(provider) - 1);
+    dispatch();
+  };
+}
+
+// 按队列顺序放行有空位的任务（某服务商满了不影响排在后面的其他服务商任务），并通知其余任务新的位置
+function dispatch() {
+  for (let i = 0; i < waiters.length && runningTotal < MAX_CONCURRENT_TASKS; ) {
+    const waiter = waiters[i];
+    if (hasCapacity(waiter.provider)) {
+      waiters.splice(i, 1);
+      waiter.resolve(take(waiter.provider));
+    } else {
+      i++;
+    }
+  }
+  waiters.forEach((waiter, index) => {
+    if (waiter.position === index + 1) return;
+    waiter.position = index + 1;
+    try { waiter.onPosition?.(waiter.position); } catch {}
+  });
+}
+
+/**
+ * 申请一个运行名额
+ * @param {object} options
+ * @param {boolean} options.admin - 管理员排在普通用户前面
+ * @param {string} options.provider - 模型服务商（用于按服务商限流）
+ * @param {AbortSignal} [options.signal] - 取消等待
+ * @param {(position: number) => void} [options.onPosition] - 排队位置变化时回调
+ * @returns {Promise<() => void>} 释放名额的函数
+ */
+export function acquireSlot({ admin = false, provider = '', signal, onPosition } = {}) {
+  if (signal?.aborted) return Promise.reject(abortError());
+  if (!waiters.length && hasCapacity(provider)) return Promise.resolve(take(provider));
+
+  return new Promise((resolve, reject) => {
+    const waiter = { admin, provider, onPosition, position: 0, resolve, reject };
+    const index = admin ? waiters.findIndex(w => !w.admin) : -1;
+    if (index < 0) waiters.push(waiter);
+    else waiters.splice(index, 0, waiter);
+
+    signal?.addEventListener('abort', () => {
+      const i = waiters.indexOf(waiter);
+      if (i < 0) return;
+      waiters.splice(i, 1);
+      reject(abortError());
+      dispatch();
+    }, { once: true });
+
+    dispatch();
+  });
+}
+
+function abortError() {
+  const err = new Error('任务已取消');
+  err.name = 'AbortError';
+  return err;
+}
+
+export function getSchedulerStats() {
+  return { running: runningTotal, waiting: waiters.length, limit: MAX_CONCURRENT_TASKS };
+}
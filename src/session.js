@@ -1,41 +1,117 @@
 /**
  * 会话管理模块 (LRU + TTL)
+ * 内存中只保留活跃会话，对话历史持久化在 SQLite (data/botk.db)
  */
 
 import { SESSION_TTL_MS, SESSION_MAX } from './config.js';
+import { createPiSession } from './agent.js';
+import { conversationRepo } from '../db.js';
 
 const sessions = new Map();
 let onSessionDelete = null;
 
+// 需要持久化的消息类型（与 PI SessionManager 保持一致；压缩摘要在压缩完成时整体写入）
+const PERSISTED_ROLES = new Set(['user', 'assistant', 'toolResult']);
+
 // 设置会话删除回调
 export function setOnSessionDelete(callback) {
   onSessionDelete = callback;
 }
 
-// 获取会话
-export function getSession(key) {
+// 获取内存中的活跃会话（不从数据库恢复，用于取消等操作）
+export function getLiveSession(key) {
   const entry = sessions.get(key);
   if (!entry) return null;
   entry.lastUsed = Date.now();
   return entry.session;
 }
 
+// 获取会话：没有活跃会话时从数据库中的对话历史重建
+export async function getSession(key, admin = false) {
+  const live = getLiveSession(key);
+  if (live) return live;
+
+  const conversation = conversationRepo.getActive(key);
+  if (!conversation) return null;
+  const history = conversationRepo.listMessages(conversation.id);
+  if (!history.length) return null;
+
+  const session = await createPiSession(admin, history, conversation.user_id);
+  setSession(key, session, conversation.user_id);
+  console.log(`[Session] 已从历史恢复会话 ${key} (${history.length} 条消息)`);
+  return session;
+}
+
+// 判断消息是否需要保存：出错或被中止的回复不保存，避免恢复后上下文不完整
+function isPersistable(message) {
+  if (message?.role === 'assistant') return message.stopReason !== 'error' && message.stopReason !== 'aborted';
+  return PERSISTED_ROLES.has(message?.role);
+}
+
+// 思考过程只用于展示，不写入历史（恢复后也不会再发回给模型）
+function stripThinking(message) {
+  if (message.role !== 'assistant' || !Array.isArray(message.content)) return message;
+  if (!message.content.some(c => c.type === 'thinking')) return message;
+  return { ...message, content: message.content.filter(c => c.type !== 'thinking') };
+}
+
+// 订阅会话消息并写入数据库
+function persistMessages(key, userId, session) {
+  return session.subscribe((event) => {
+    // 上下文压缩后用压缩后的上下文（摘要 + 最近消息）替换历史，避免恢复时重新膨胀
+    if (event.type === 'auto_compaction_end' && event.result) {
+      try {
+        const messages = session.messages.filter(m => m.role === 'compactionSummary' || isPersistable(m)).map(stripThinking);
+        conversationRepo.replaceMessages(conversationRepo.ensureActive(key, userId), messages);
+      } catch (err) {
+        console.error('[Session] 保存压缩结果失败:', err.message);
+      }
+      return;
+    }
+    if (event.type !== 'message_end') return;
+    if (!isPersistable(event.message)) return;
+    try {
+      conversationRepo.addMessage(conversationRepo.ensureActive(key, userId), stripThinking(event.message));
+    } catch (err) {
+      console.error('[Session] 保存消息失败:', err.message);
+    }
+  });
+}
+
 // 设置会话
-export function setSession(key, session) {
-  sessions.set(key, { session, lastUsed: Date.now() });
+export function setSession(key, session, userId) {
+  const unsubscribe = persistMessages(key, userId, session);
+  sessions.set(key, { session, userId, unsubscribe, lastUsed: Date.now() });
   evictSessions();
 }
 
-// 删除会话
+// 删除会话（仅释放内存，对话历史保留，下次消息时恢复）
 export function deleteSession(key) {
   const entry = sessions.get(key);
   if (entry) {
+    try { entry.unsubscribe(); } catch {}
     try { entry.session.dispose(); } catch {}
     sessions.delete(key);
     if (onSessionDelete) onSessionDelete(key);
   }
 }
 
+// 某个用户创建的会话
+export function getUserSessionKeys(userId) {
+  return [...sessions].filter(([, entry]) => entry.userId === userId).map(([key]) => key);
+}
+
+// 删除某个用户的所有会话（如切换模型后重新加载）
+export function deleteUserSessions(userId) {
+  for (const key of getUserSessionKeys(userId)) deleteSession(key);
+}
+
+// 清除对话：释放会话并归档对话历史
+export function clearSession(key) {
+  deleteSession(key);
+  conversationRepo.archive(key);
+}
+
 // 清理过期会话 (LRU + TTL)
 export function evictSessions() {
   const now = Date.now();
@@ -2,14 +2,23 @@
  * Telegram 回调处理模块
  */
 
-import { InlineKeyboard } from 'grammy';
-import { getAvailableModels, getCurrentModelName, getCurrentModelIndex, setCurrentModelIndex } from '../models.js';
-import { getSession, deleteSession, getSessionKeys } from '../session.js';
+import { InlineKeyboard, InputFile } from 'grammy';
+import { existsSync } from 'fs';
+import { getAvailableModels, getAllowedModels, getSelectableModels, getModelKey, getUserModelDef, getUserModelName, setUserModel, toggleAllowedModel } from '../models.js';
+import { getLiveSession, deleteUserSessions, clearSession } from '../session.js';
 import { getPgPool, querySubmissions, markAsCompleted } from '../submissions.js';
-import { welcomeKb, createMainMenuKb, createModelKb, createSubmissionsMenuKb, createSubmissionsListKb } from './keyboards.js';
-import { isAdmin, isAllowed, sessionKey, touchUser } from './commands.js';
-import { userRepo } from '../../db.js';
+import { welcomeKb, createMainMenuKb, createModelKb, createAllowedModelsKb, createSubmissionsMenuKb, createSubmissionsListKb } from './keyboards.js';
+import { isAdmin, isAllowed, sessionKey, userChatKey, touchUser, hasRunningSession } from './commands.js';
+import { userRepo, fileRepo } from '../../db.js';
 import { wrapCallback } from './errorHandler.js';
+import { resolveApproval } from '../approval.js';
+import { prepareImageInput } from '../vision.js';
+import { takeQueued, clearQueue, releaseQueued } from './queue.js';
+import { steerTurn } from './turns.js';
+import { FILE_ACTIONS, renderFileList, renderFileDetail, getOwnFile, buildFilePrompt, setPendingRename, setAttachedFiles } from './files.js';
+import { runMediaAction } from './uploads.js';
+
+const FILE_EXPIRED_TEXT = '⌛ 这个按钮已失效（文件已删除或已过期），请重新发送文件，或在 /files 中选择。';
 
 export function registerCallbacks(bot, runningTasks, lastMessages, processUserMessage) {
   
@@ -47,7 +56,7 @@ export function registerCallbacks(bot, runningTasks, lastMessages, processUserMe
       `💾 内存: ${Math.round(mem.rss / 1024 / 1024)}MB\n` +
       `🔧 工具: read, write, edit, bash\n` +
       `🔌 技能: find-skills\n` +
-      `📡 模型: ${getCurrentModelName()}`,
+      `📡 模型: ${getUserModelName(ctx.from.id, isAdmin(ctx))}`,
       { reply_markup: new InlineKeyboard().text('📡 切换模型', 'show_models').row().text('🏠 主菜单', 'main_menu') }
     );
   }));
@@ -55,46 +64,72 @@ export function registerCallbacks(bot, runningTasks, lastMessages, processUserMe
   // 显示模型列表
   bot.callbackQuery('show_models', wrapCallback(async (ctx) => {
     await ctx.answerCallbackQuery();
-    if (!isAdmin(ctx)) {
-      await ctx.reply('⚠️ 仅管理员可切换模型。', { reply_markup: createMainMenuKb() });
-      return;
-    }
-    const available = getAvailableModels();
-    if (!available.length) {
+    if (!isAllowed(ctx)) return;
+    const admin = isAdmin(ctx);
+    const models = getSelectableModels(admin);
+    if (!models.length) {
       await ctx.reply('❌ 没有可用的模型，请检查 API Key 配置。');
       return;
     }
-    let text = '📡 可用模型\n\n';
-    available.forEach((m, i) => {
-      const isCurrent = i === getCurrentModelIndex();
-      text += `${isCurrent ? '✅' : '⬜'} ${i + 1}. ${m.name} (${m.provider})\n`;
+    const current = getUserModelDef(ctx.from.id, admin);
+    const currentIndex = models.indexOf(current);
+    let text = '📡 可选模型\n\n';
+    models.forEach((m, i) => {
+      text += `${i === currentIndex ? '✅' : '⬜'} ${i + 1}. ${m.name} (${m.provider})\n`;
     });
-    text += `\n当前: ${getCurrentModelName()}`;
-    await ctx.reply(text, { reply_markup: createModelKb(available, getCurrentModelIndex()) });
+    text += `\n当前: ${current.name}`;
+    await ctx.reply(text, { reply_markup: createModelKb(models, currentIndex, admin) });
   }));
 
-  // 切换模型
+  // 切换模型（只影响自己的会话）
   bot.callbackQuery(/^set_model_(\d+)$/, wrapCallback(async (ctx) => {
-    if (!isAdmin(ctx)) {
-      await ctx.answerCallbackQuery({ text: '仅管理员可切换模型' });
+    if (!isAllowed(ctx)) { await ctx.answerCallbackQuery(); return; }
+    const admin = isAdmin(ctx);
+    const model = getSelectableModels(admin)[parseInt(ctx.match[1], 10)];
+    touchUser(ctx);
+    const oldModel = getUserModelName(ctx.from.id, admin);
+    if (model && hasRunningSession(runningTasks, ctx.from.id)) {
+      await ctx.answerCallbackQuery({ text: '有任务正在运行，请等它完成或 /cancel 后再切换模型', show_alert: true });
       return;
     }
-    const newIndex = parseInt(ctx.match[1], 10);
-    const oldModel = getCurrentModelName();
-    if (setCurrentModelIndex(newIndex)) {
-      for (const key of getSessionKeys()) {
-        deleteSession(key);
-      }
-      await ctx.answerCallbackQuery({ text: `已切换到 ${getCurrentModelName()}` });
+    if (model && setUserModel(ctx.from.id, getModelKey(model), admin)) {
+      deleteUserSessions(ctx.from.id);
+      await ctx.answerCallbackQuery({ text: `已切换到 ${model.name}` });
       await ctx.reply(
-        `📡 模型已切换\n\n${oldModel} → ${getCurrentModelName()}\n\n所有会话已重置，新对话将使用新模型。`,
+        `📡 模型已切换\n\n${oldModel} → ${model.name}\n\n你的会话已重新加载，后续消息将使用新模型（对话历史保留，/clear 可开始新对话）。`,
         { reply_markup: createMainMenuKb() }
       );
     } else {
-      await ctx.answerCallbackQuery({ text: '无效的模型索引' });
+      await ctx.answerCallbackQuery({ text: '该模型不可用，请重新打开模型列表' });
     }
   }));
 
+  // 管理普通用户可选的模型
+  bot.callbackQuery('manage_models', wrapCallback(async (ctx) => {
+    if (!isAdmin(ctx)) { await ctx.answerCallbackQuery({ text: '仅管理员可操作' }); return; }
+    await ctx.answerCallbackQuery();
+    const allowedKeys = new Set(getAllowedModels().map(getModelKey));
+    await ctx.reply(
+      '⚙️ 普通用户可选模型\n\n点击切换是否允许，未选择模型的用户默认使用第一个允许的模型。',
+      { reply_markup: createAllowedModelsKb(getAvailableModels(), allowedKeys) }
+    );
+  }));
+
+  bot.callbackQuery(/^toggle_model_(\d+)$/, wrapCallback(async (ctx) => {
+    if (!isAdmin(ctx)) { await ctx.answerCallbackQuery({ text: '仅管理员可操作' }); return; }
+    const available = getAvailableModels();
+    const model = available[parseInt(ctx.match[1], 10)];
+    if (!model || !toggleAllowedModel(getModelKey(model))) {
+      await ctx.answerCallbackQuery({ text: '无效的模型' });
+      return;
+    }
+    await ctx.answerCallbackQuery();
+    const allowedKeys = new Set(getAllowedModels().map(getModelKey));
+    try {
+      await ctx.editMessageReplyMarkup({ reply_markup: createAllowedModelsKb(available, allowedKeys) });
+    } catch {}
+  }));
+
   // 技能列表
   bot.callbackQuery('skills_list', wrapCallback(async (ctx) => {
     await ctx.answerCallbackQuery();
@@ -146,16 +181,67 @@ export function registerCallbacks(bot, runningTasks, lastMessages, processUserMe
     if (!isAllowed(ctx)) { await ctx.answerCallbackQuery(); return; }
     await ctx.answerCallbackQuery({ text: '正在取消...' });
     const key = sessionKey(ctx);
-    const session = getSession(key);
+    runningTasks.get(key)?.abort();
+    const session = getLiveSession(key);
     if (session) try { await session.abort(); } catch {}
   }));
 
+  // 排队消息：插入正在运行的任务
+  bot.callbackQuery(/^queue_steer_(\d+)$/, wrapCallback(async (ctx) => {
+    if (!isAllowed(ctx)) { await ctx.answerCallbackQuery(); return; }
+    const key = sessionKey(ctx);
+    const session = getLiveSession(key);
+    if (!runningTasks.has(key) || !session?.isStreaming) {
+      await ctx.answerCallbackQuery({ text: '当前任务即将结束，消息会按队列处理' });
+      return;
+    }
+    const item = takeQueued(key, Number(ctx.match[1]));
+    if (!item) {
+      await ctx.answerCallbackQuery({ text: '该消息已开始处理或已移出队列' });
+      return;
+    }
+    try {
+      const { images, note } = await prepareImageInput(session.model, item.options.images);
+      await session.steer(note ? `${item.userText}\n\n${note}` : item.userText, images.length ? images : undefined);
+      steerTurn(key, item.options.turn);
+    } finally {
+      releaseQueued(item);
+    }
+    await ctx.answerCallbackQuery({ text: '已插入当前任务' });
+    try { await ctx.editMessageText('⚡ 已插入当前任务，AI 会在下一步参考这条消息'); } catch {}
+  }));
+
+  // 排队消息：移出队列
+  bot.callbackQuery(/^queue_drop_(\d+)$/, wrapCallback(async (ctx) => {
+    if (!isAllowed(ctx)) { await ctx.answerCallbackQuery(); return; }
+    const item = takeQueued(sessionKey(ctx), Number(ctx.match[1]));
+    if (!item) {
+      await ctx.answerCallbackQuery({ text: '该消息已开始处理或已移出队列' });
+      return;
+    }
+    releaseQueued(item);
+    await ctx.answerCallbackQuery({ text: '已移出队列' });
+    try { await ctx.editMessageText('🗑 已移出队列'); } catch {}
+  }));
+
+  // 危险操作审批
+  bot.callbackQuery(/^(approve|reject)_(\d+)$/, wrapCallback(async (ctx) => {
+    if (!isAdmin(ctx)) { await ctx.answerCallbackQuery({ text: '⛔ 仅管理员可操作' }); return; }
+    const approved = ctx.match[1] === 'approve';
+    if (resolveApproval(Number(ctx.match[2]), approved, ctx.from.id)) {
+      await ctx.answerCallbackQuery({ text: approved ? '已批准' : '已拒绝' });
+    } else {
+      await ctx.answerCallbackQuery({ text: '该请求已失效' });
+    }
+  }));
+
   // 清除会话
   bot.callbackQuery('clear_session', wrapCallback(async (ctx) => {
     if (!isAllowed(ctx)) { await ctx.answerCallbackQuery(); return; }
     await ctx.answerCallbackQuery({ text: '对话已清除' });
     const key = sessionKey(ctx);
-    deleteSession(key);
+    clearQueue(key);
+    clearSession(key);
     lastMessages.delete(key);
   }));
 
@@ -189,12 +275,78 @@ export function registerCallbacks(bot, runningTasks, lastMessages, processUserMe
     if (!isAllowed(ctx)) { await ctx.answerCallbackQuery(); return; }
     await ctx.answerCallbackQuery({ text: '数据已删除' });
     const key = sessionKey(ctx);
-    deleteSession(key);
+    clearSession(key);
     lastMessages.delete(key);
     const count = userRepo.deleteAllData(ctx.from.id);
     await ctx.reply(`🗑 已删除你的所有数据（${count} 个文件已清理）。`, { reply_markup: welcomeKb });
   }));
 
+  // ==================== 文件管理回调 ====================
+
+  // 文件列表翻页
+  bot.callbackQuery(/^files_page_(\d+)$/, wrapCallback(async (ctx) => {
+    if (!isAllowed(ctx)) { await ctx.answerCallbackQuery(); return; }
+    await ctx.answerCallbackQuery();
+    const { text, reply_markup } = renderFileList(ctx.from.id, parseInt(ctx.match[1]));
+    await ctx.editMessageText(text, { reply_markup }).catch(() => ctx.reply(text, { reply_markup }));
+  }));
+
+  // 文件详情
+  bot.callbackQuery(/^files_open_(\d+)_(\d+)$/, wrapCallback(async (ctx) => {
+    if (!isAllowed(ctx)) { await ctx.answerCallbackQuery(); return; }
+    const file = getOwnFile(ctx.from.id, parseInt(ctx.match[1]));
+    if (!file) { await ctx.answerCallbackQuery({ text: '文件已不存在' }); return; }
+    await ctx.answerCallbackQuery();
+    const { text, reply_markup } = renderFileDetail(file, parseInt(ctx.match[2]));
+    await ctx.editMessageText(text, { reply_markup });
+  }));
+
+  // 下载
+  bot.callbackQuery(/^files_get_(\d+)$/, wrapCallback(async (ctx) => {
+    if (!isAllowed(ctx)) { await ctx.answerCallbackQuery(); return; }
+    const file = getOwnFile(ctx.from.id, parseInt(ctx.match[1]));
+    if (!file) { await ctx.answerCallbackQuery({ text: '文件已不存在' }); return; }
+    if (!existsSync(file.file_path)) {
+      fileRepo.remove(file.id);
+      await ctx.answerCallbackQuery({ text: '文件已丢失，已移除记录' });
+      return;
+    }
+    await ctx.answerCallbackQuery({ text: '发送中...' });
+    await ctx.replyWithDocument(new InputFile(file.file_path, file.file_name));
+  }));
+
+  // 删除（先确认）
+  bot.callbackQuery(/^files_del_(\d+)_(\d+)$/, wrapCallback(async (ctx) => {
+    if (!isAllowed(ctx)) { await ctx.answerCallbackQuery(); return; }
+    const file = getOwnFile(ctx.from.id, parseInt(ctx.match[1]));
+    if (!file) { await ctx.answerCallbackQuery({ text: '文件已不存在' }); return; }
+    await ctx.answerCallbackQuery();
+    await ctx.editMessageText(`⚠️ 确认删除 ${file.file_name}？\n\n删除后不可恢复。`, {
+      reply_markup: new InlineKeyboard()
+        .text('✅ 确认删除', `files_delok_${file.id}_${ctx.match[2]}`)
+        .text('❌ 取消', `files_open_${file.id}_${ctx.match[2]}`),
+    });
+  }));
+
+  bot.callbackQuery(/^files_delok_(\d+)_(\d+)$/, wrapCallback(async (ctx) => {
+    if (!isAllowed(ctx)) { await ctx.answerCallbackQuery(); return; }
+    const file = getOwnFile(ctx.from.id, parseInt(ctx.match[1]));
+    if (file) fileRepo.remove(file.id);
+    await ctx.answerCallbackQuery({ text: file ? `已删除 ${file.file_name}` : '文件已不存在' });
+    const { text, reply_markup } = renderFileList(ctx.from.id, parseInt(ctx.match[2]));
+    await ctx.editMessageText(text, { reply_markup });
+  }));
+
+  // 重命名：等待用户发送新文件名
+  bot.callbackQuery(/^files_ren_(\d+)$/, wrapCallback(async (ctx) => {
+    if (!isAllowed(ctx)) { await ctx.answerCallbackQuery(); return; }
+    const file = getOwnFile(ctx.from.id, parseInt(ctx.match[1]));
+    if (!file) { await ctx.answerCallbackQuery({ text: '文件已不存在' }); return; }
+    await ctx.answerCallbackQuery();
+    setPendingRename(userChatKey(ctx), file.id);
+    await ctx.reply(`✏️ 请发送 ${file.file_name} 的新文件名（不写扩展名则保留原扩展名），发送「取消」放弃。`);
+  }));
+
   // ==================== 客户咨询回调 ====================
 
   // 咨询菜单
@@ -270,24 +422,32 @@ export function registerCallbacks(bot, runningTasks, lastMessages, processUserMe
   }));
 
   // 文件处理回调
-  bot.callbackQuery(/^file_/, wrapCallback(async (ctx) => {
+  bot.callbackQuery(/^file_([a-z]+)_(\d+)$/, wrapCallback(async (ctx) => {
+    if (!isAllowed(ctx)) { await ctx.answerCallbackQuery(); return; }
+    const action = FILE_ACTIONS[ctx.match[1]];
+    const file = getOwnFile(ctx.from.id, parseInt(ctx.match[2]));
+    if (!action || !file || !existsSync(file.file_path)) {
+      await ctx.answerCallbackQuery({ text: FILE_EXPIRED_TEXT, show_alert: true });
+      return;
+    }
     await ctx.answerCallbackQuery();
-    const key = sessionKey(ctx);
-    const fileInfo = lastMessages.get(key) || '';
-    const actions = {
-      file_summarize: '请总结这个文件的内容',
-      file_extract: '请提取这个文件中的关键信息',
-      file_translate: '请将这个文件内容翻译成英文',
-      file_custom: null,
-    };
-    const action = actions[ctx.callbackQuery.data];
-    if (action === null) {
-      await ctx.reply('请告诉我你想怎么处理这个文件：');
+    if (action.local) {
+      // 转写和截图可能较慢，在后台进行
+      runMediaAction(ctx, ctx.match[1], file, processUserMessage);
       return;
     }
-    if (action) {
-      await processUserMessage(ctx, `${fileInfo}\n\n${action}`);
+    if (!action.prompt) {
+      setAttachedFiles(userChatKey(ctx), file.id);
+      await ctx.reply(`📎 已选择 ${file.file_name}\n\n请告诉我你想怎么处理这个文件：`);
+      return;
     }
+    const { prompt, images } = buildFilePrompt([file], action.prompt);
+    await processUserMessage(ctx, prompt, { images });
+  }));
+
+  // 旧版本的文件按钮没有绑定文件
+  bot.callbackQuery(/^file_/, wrapCallback(async (ctx) => {
+    await ctx.answerCallbackQuery({ text: FILE_EXPIRED_TEXT, show_alert: true });
   }));
 
   // 默认回调处理
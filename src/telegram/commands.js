@@ -4,13 +4,20 @@
 
 import { InlineKeyboard } from 'grammy';
 import { ADMIN_USER, ENV_ALLOWED_USERS } from '../config.js';
-import { getAvailableModels, getCurrentModelName, getCurrentModelIndex, setCurrentModelIndex } from '../models.js';
-import { getSession, deleteSession, getSessionCount, clearAllSessions } from '../session.js';
+import { getSelectableModels, getUserModelDef, getUserModelName, getModelRegistry, getCatalogProviders, getRuntimeProviders, saveRuntimeProvider, removeRuntimeProvider } from '../models.js';
+import { getLiveSession, deleteSession, deleteUserSessions, clearSession, getSessionCount, getSessionKeys, getUserSessionKeys } from '../session.js';
+import { THINKING_LEVELS } from '../agent.js';
+import { getQueueLength, clearQueue } from './queue.js';
+import { renderFileList } from './files.js';
+import { getSchedulerStats } from '../scheduler.js';
+import { formatQuotaLines, formatDefaultQuota, parseQuotaArgs, setDefaultQuota, setUserQuota } from '../quota.js';
 import { getPgPool, querySubmissions, markAsCompleted } from '../submissions.js';
-import { formatBytes } from '../utils.js';
+import { formatBytes, formatTokens, formatCost, sendLongText } from '../utils.js';
 import { getInstalledSkills, scanInstalledSkills } from '../skills.js';
 import { welcomeKb, createMainMenuKb, createModelKb, createSubmissionsMenuKb, createSubmissionsListKb } from './keyboards.js';
-import { userRepo, fileRepo, taskRepo, dbStats, allowRepo } from '../../db.js';
+import { isGroupChat, isGroupAllowed, GROUP_DENIED_TEXT } from './groups.js';
+import { EDIT_WINDOW_MS } from './turns.js';
+import { userRepo, fileRepo, taskRepo, dbStats, allowRepo, groupRepo, conversationRepo } from '../../db.js';
 
 // ==================== 权限检查 ====================
 
@@ -18,28 +25,66 @@ export function isAdmin(ctx) {
   return ctx.from && ctx.from.id === ADMIN_USER;
 }
 
+// 群聊按群白名单，私聊按用户白名单，两者互不影响
 export function isAllowed(ctx) {
   if (!ctx.from) return false;
+  if (isGroupChat(ctx)) return isGroupAllowed(ctx);
   if (ctx.from.id === ADMIN_USER) return true;
   if (ENV_ALLOWED_USERS.includes(ctx.from.id)) return true;
   return allowRepo.has(ctx.from.id);
 }
 
+// 管理员工具只在私聊中提供，群会话由多人共用
+export function hasAdminTools(ctx) {
+  return isAdmin(ctx) && !isGroupChat(ctx);
+}
+
+// 对话会话：私聊每人一个，群聊整个群（论坛按话题）共用一个
 export function sessionKey(ctx) {
+  if (!isGroupChat(ctx)) return `${ctx.from.id}_${ctx.chat.id}`;
+  const msg = ctx.msg;
+  return msg?.is_topic_message ? `${ctx.chat.id}_t${msg.message_thread_id}` : `${ctx.chat.id}`;
+}
+
+// 每个用户在当前聊天中等待输入的状态（重命名、附加文件、合并消息），群里不同成员互不干扰
+export function userChatKey(ctx) {
   return `${ctx.from.id}_${ctx.chat.id}`;
 }
 
+// 用户的会话中是否有任务正在运行（运行中不能重新加载会话，如切换模型）
+export function hasRunningSession(runningTasks, userId) {
+  return getUserSessionKeys(userId).some(key => runningTasks.has(key));
+}
+
+// 涉及个人数据的命令只在私聊中使用
+async function requirePrivate(ctx) {
+  if (!isGroupChat(ctx)) return true;
+  await ctx.reply('🔒 这个命令涉及个人数据，请私聊我使用。');
+  return false;
+}
+
 export function touchUser(ctx) {
   if (ctx.from) userRepo.upsert(ctx.from.id, ctx.from.username || ctx.from.first_name);
 }
 
+// 释放正在使用某服务商模型的会话，下次消息时按新配置重建
+function reloadProviderSessions(provider) {
+  for (const key of getSessionKeys()) {
+    if (getLiveSession(key)?.model?.provider === provider) deleteSession(key);
+  }
+}
+
+function maskKey(key) {
+  return key.length > 10 ? `${key.slice(0, 4)}...${key.slice(-4)}` : '****';
+}
+
 // ==================== 注册命令 ====================
 
 export function registerCommands(bot, runningTasks, lastMessages) {
   
   // /start
   bot.command('start', async (ctx) => {
-    if (!isAllowed(ctx)) { await ctx.reply('⛔ 无权限。\n你的 ID: ' + ctx.from.id); return; }
+    if (!isAllowed(ctx)) { await ctx.reply(isGroupChat(ctx) ? GROUP_DENIED_TEXT : '⛔ 无权限。\n你的 ID: ' + ctx.from.id); return; }
     touchUser(ctx);
     await ctx.reply(
       'hi 我是 bao, 懒病又犯了吗碧池\n\n' +
@@ -62,16 +107,28 @@ export function registerCommands(bot, runningTasks, lastMessages) {
       '/start - 主菜单\n' +
       '/status - 系统状态\n' +
       '/skills - 已装技能\n' +
+      '/models - 切换我的模型\n' +
+      '/think - 思考强度 (off/low/medium/high)\n' +
       '/mydata - 我的数据用量\n' +
+      '/files - 我的文件（下载、删除、重命名）\n' +
       '/deletedata - 删除我的所有数据\n' +
       '/cancel - 取消当前任务\n' +
       '/clear - 清除对话，开始新对话\n' +
-      '/help - 显示此帮助\n';
+      '/help - 显示此帮助\n' +
+      `\n✏️ 发错了可以直接修改消息，${EDIT_WINDOW_MS / 60000} 分钟内的消息修改后会重新处理\n` +
+      '👥 群聊中 @ 我或回复我的消息即可，群成员共用一个对话（论坛每个话题一个）\n';
     if (isAdmin(ctx)) {
       text += '\n👑 管理员命令:\n' +
         '/adduser <ID> - 添加用户\n' +
         '/removeuser <ID> - 移除用户\n' +
         '/listusers - 查看白名单\n' +
+        '/addgroup [群ID] - 开通群（在群里发送可省略群ID）\n' +
+        '/removegroup [群ID] - 关闭群\n' +
+        '/listgroups - 查看已开通的群\n' +
+        '/usage [天数] - Token 用量和费用报表\n' +
+        '/quota [ID] - 查看默认配额或用户配额\n' +
+        '/setquota <ID|default> ... - 修改配额\n' +
+        '/providers - 模型服务商（增删改 OpenAI 兼容服务商）\n' +
         '/submissions - 查看客户咨询\n';
     }
     text += '\n直接发消息即可，不需要命令。';
@@ -85,10 +142,12 @@ export function registerCommands(bot, runningTasks, lastMessages) {
   bot.command('cancel', async (ctx) => {
     if (!isAllowed(ctx)) return;
     const key = sessionKey(ctx);
-    const session = getSession(key);
-    if (runningTasks.has(key) && session) {
-      try { await session.abort(); } catch {}
-      await ctx.reply('🛑 正在取消...');
+    const session = getLiveSession(key);
+    if (runningTasks.has(key)) {
+      runningTasks.get(key).abort();
+      if (session) try { await session.abort(); } catch {}
+      const queued = getQueueLength(key);
+      await ctx.reply(queued ? `🛑 正在取消...（队列中还有 ${queued} 条消息，将继续处理，/clear 可清空）` : '🛑 正在取消...');
     } else {
       await ctx.reply('ℹ️ 当前没有正在进行的任务。');
     }
@@ -98,7 +157,8 @@ export function registerCommands(bot, runningTasks, lastMessages) {
   bot.command('clear', async (ctx) => {
     if (!isAllowed(ctx)) return;
     const key = sessionKey(ctx);
-    deleteSession(key);
+    clearQueue(key);
+    clearSession(key);
     lastMessages.delete(key);
     await ctx.reply('🗑 对话已清除，重新开始吧。', { reply_markup: welcomeKb });
   });
@@ -109,14 +169,15 @@ export function registerCommands(bot, runningTasks, lastMessages) {
     const up = process.uptime();
     const mem = process.memoryUsage();
     const db = dbStats();
+    const scheduler = getSchedulerStats();
     await ctx.reply(
       '⚙️ 系统状态\n\n' +
       `⏱ 运行: ${Math.floor(up / 3600)}h ${Math.floor((up % 3600) / 60)}m\n` +
       `💾 内存: ${Math.round(mem.rss / 1024 / 1024)}MB\n` +
       `🔧 内置工具: read, write, edit, bash\n` +
       `🔌 预置技能: find-skills\n` +
-      `📡 模型: ${getCurrentModelName()}\n` +
-      `🔄 活跃会话: ${getSessionCount()} | 运行中: ${runningTasks.size}\n` +
+      `📡 模型: ${getUserModelName(ctx.from.id, isAdmin(ctx))}\n` +
+      `🔄 活跃会话: ${getSessionCount()} | 运行中: ${scheduler.running}/${scheduler.limit} | 排队: ${scheduler.waiting}\n` +
       `🗄 数据库: ${db.sizeMB}MB (${db.userCount}用户, ${db.taskCount}任务, ${db.fileCount}文件)`,
       { reply_markup: createMainMenuKb() }
     );
@@ -158,7 +219,7 @@ export function registerCommands(bot, runningTasks, lastMessages) {
 
   // /mydata
   bot.command('mydata', async (ctx) => {
-    if (!isAllowed(ctx)) return;
+    if (!isAllowed(ctx) || !await requirePrivate(ctx)) return;
     touchUser(ctx);
     const stats = userRepo.getStats(ctx.from.id);
     if (!stats) { await ctx.reply('暂无数据。'); return; }
@@ -170,21 +231,34 @@ export function registerCommands(bot, runningTasks, lastMessages) {
     await ctx.reply(
       '📊 我的数据\n\n' +
       `📋 累计任务: ${stats.task_count} 次\n` +
-      `📅 今日任务: ${stats.tasksToday} 次\n` +
+      (isAdmin(ctx) ? `📅 今日任务: ${stats.tasksToday} 次\n` : '') +
+      `🔢 Token: 输入 ${formatTokens(stats.usage.inputTokens)} / 输出 ${formatTokens(stats.usage.outputTokens)} / 缓存 ${formatTokens(stats.usage.cacheTokens)}\n` +
+      `💰 累计费用: ${formatCost(stats.usage.cost)}\n\n` +
+      (isAdmin(ctx) ? '' : `📏 配额:\n${formatQuotaLines(ctx.from.id)}\n\n`) +
       `💾 存储用量: ${formatBytes(stats.storage_bytes)} / ${formatBytes(stats.storage_limit)}\n` +
       `📁 文件数: ${stats.fileCount}\n\n` +
       `最近文件:\n${fileList}`,
       {
         reply_markup: new InlineKeyboard()
+          .text('📁 管理文件', 'files_page_0')
+          .row()
           .text('🗑 删除所有数据', 'confirm_delete')
           .text('🏠 主菜单', 'main_menu'),
       }
     );
   });
 
+  // /files
+  bot.command('files', async (ctx) => {
+    if (!isAllowed(ctx) || !await requirePrivate(ctx)) return;
+    touchUser(ctx);
+    const { text, reply_markup } = renderFileList(ctx.from.id);
+    await ctx.reply(text, { reply_markup });
+  });
+
   // /deletedata
   bot.command('deletedata', async (ctx) => {
-    if (!isAllowed(ctx)) return;
+    if (!isAllowed(ctx) || !await requirePrivate(ctx)) return;
     await ctx.reply(
       '⚠️ 确认删除你的所有数据？\n\n这将清除：\n• 所有上传的文件\n• 任务历史记录\n• 使用统计\n\n此操作不可恢复！',
       {
@@ -197,20 +271,48 @@ export function registerCommands(bot, runningTasks, lastMessages) {
 
   // /models
   bot.command('models', async (ctx) => {
-    if (!isAdmin(ctx)) return;
-    const available = getAvailableModels();
-    if (!available.length) {
+    if (!isAllowed(ctx)) return;
+    const admin = isAdmin(ctx);
+    const models = getSelectableModels(admin);
+    if (!models.length) {
       await ctx.reply('❌ 没有可用的模型，请检查 API Key 配置。');
       return;
     }
     
-    let text = '📡 可用模型\n\n';
-    available.forEach((m, i) => {
-      const isCurrent = i === getCurrentModelIndex();
-      text += `${isCurrent ? '✅' : '⬜'} ${i + 1}. ${m.name} (${m.provider})\n`;
+    const current = getUserModelDef(ctx.from.id, admin);
+    const currentIndex = models.indexOf(current);
+    let text = '📡 可选模型\n\n';
+    models.forEach((m, i) => {
+      text += `${i === currentIndex ? '✅' : '⬜'} ${i + 1}. ${m.name} (${m.provider})\n`;
     });
-    text += `\n当前: ${getCurrentModelName()}`;
-    await ctx.reply(text, { reply_markup: createModelKb(available, getCurrentModelIndex()) });
+    text += `\n当前: ${current.name}`;
+    await ctx.reply(text, { reply_markup: createModelKb(models, currentIndex, admin) });
+  });
+
+  // /think [off|low|medium|high]
+  bot.command('think', async (ctx) => {
+    if (!isAllowed(ctx)) return;
+    touchUser(ctx);
+    const level = ctx.message.text.split(/\s+/)[1]?.toLowerCase();
+    const model = getUserModelDef(ctx.from.id, isAdmin(ctx));
+    const supported = model && getModelRegistry().find(model.provider, model.id)?.reasoning;
+    const hint = supported ? '' : `\n\n⚠️ 当前模型 ${model?.name || ''} 不支持思考，切换到推理模型（如 DeepSeek R1）后生效。`;
+    if (!level) {
+      const current = userRepo.get(ctx.from.id)?.thinking_level || 'off';
+      await ctx.reply(`💭 思考强度: ${current}\n\n用法: /think off|low|medium|high${hint}`);
+      return;
+    }
+    if (!THINKING_LEVELS.includes(level)) {
+      await ctx.reply('用法: /think off|low|medium|high');
+      return;
+    }
+    if (hasRunningSession(runningTasks, ctx.from.id)) {
+      await ctx.reply('⏳ 有任务正在运行，请等它完成或 /cancel 后再修改思考强度。');
+      return;
+    }
+    userRepo.setThinkingLevel(ctx.from.id, level);
+    deleteUserSessions(ctx.from.id);
+    await ctx.reply(`💭 思考强度已设为 ${level}${level === 'off' ? '' : '，思考过程会以可折叠引用显示在回答上方'}。${hint}`);
   });
 
   // /submissions
@@ -264,11 +366,201 @@ export function registerCommands(bot, runningTasks, lastMessages) {
       return;
     }
     allowRepo.remove(targetId);
-    const key = `${targetId}_${ctx.chat.id}`;
-    deleteSession(key);
+    // 清除该用户所有私聊中的会话（内存中的和数据库中保存的对话），群里的会话是大家共用的，保留
+    const keys = new Set(conversationRepo.listPrivateSessionKeys(targetId));
+    for (const key of getSessionKeys()) {
+      if (key.startsWith(`${targetId}_`)) keys.add(key);
+    }
+    for (const key of keys) clearSession(key);
     await ctx.reply(`✅ 已移除用户 ${targetId}，该用户的会话已清除。`);
   });
 
+  // /providers
+  bot.command('providers', async (ctx) => {
+    if (!isAdmin(ctx)) return;
+    const runtime = new Map(getRuntimeProviders().map(p => [p.name, p]));
+    let text = '🔌 模型服务商\n\n';
+    for (const p of getCatalogProviders()) {
+      text += `${p.hasKey ? '✅' : '⬜'} ${p.name}${p.source === 'runtime' ? ' (运行时)' : ''}\n`;
+      const r = runtime.get(p.name);
+      if (r) text += `   ${r.base_url}\n   Key: ${maskKey(r.api_key)}\n`;
+      text += `   模型: ${p.models.join(', ')}\n`;
+    }
+    text += '\n⬜ 表示未配置 API Key\n\n' +
+      '管理 OpenAI 兼容服务商:\n' +
+      '/addprovider <名称> <baseUrl> <apiKey> <模型1,模型2>\n' +
+      '/editprovider <名称> <url|key|models> <值>\n' +
+      '/removeprovider <名称>';
+    await ctx.reply(text, { reply_markup: createMainMenuKb() });
+  });
+
+  // /addprovider <名称> <baseUrl> <apiKey> <模型1,模型2>
+  bot.command('addprovider', async (ctx) => {
+    if (!isAdmin(ctx)) return;
+    const args = ctx.message.text.split(/\s+/).slice(1);
+    // 消息里有 API Key，处理后立即删除
+    try { await ctx.deleteMessage(); } catch {}
+    if (args.length < 4) {
+      await ctx.reply('用法: /addprovider <名称> <baseUrl> <apiKey> <模型1,模型2>\n例: /addprovider qwen https://dashscope.aliyuncs.com/compatible-mode/v1 sk-xxx qwen-plus,qwen-max');
+      return;
+    }
+    const [name, baseUrl, apiKey, models] = args;
+    if (getRuntimeProviders().some(p => p.name === name)) {
+      await ctx.reply(`❌ 服务商 ${name} 已存在，用 /editprovider 修改。`);
+      return;
+    }
+    const error = saveRuntimeProvider({ name, baseUrl, apiKey, models: models.split(',').filter(Boolean) }, ctx.from.id);
+    if (error) {
+      await ctx.reply(`❌ ${error}`);
+      return;
+    }
+    await ctx.reply(`✅ 已添加服务商 ${name}（Key 已保存，原消息已删除）\n模型: ${models}\n\n用 /models 切换使用。`);
+  });
+
+  // /editprovider <名称> <url|key|models> <值>
+  bot.command('editprovider', async (ctx) => {
+    if (!isAdmin(ctx)) return;
+    const args = ctx.message.text.split(/\s+/).slice(1);
+    const [name, field, value] = args;
+    if (field === 'key') {
+      try { await ctx.deleteMessage(); } catch {}
+    }
+    if (args.length < 3 || !['url', 'key', 'models'].includes(field)) {
+      await ctx.reply('用法: /editprovider <名称> <url|key|models> <值>');
+      return;
+    }
+    const provider = getRuntimeProviders().find(p => p.name === name);
+    if (!provider) {
+      await ctx.reply(`❌ 没有运行时服务商 ${name}（models.json 中的服务商请直接改文件）。`);
+      return;
+    }
+    const error = saveRuntimeProvider({
+      name,
+      baseUrl: field === 'url' ? value : provider.base_url,
+      apiKey: field === 'key' ? value : provider.api_key,
+      models: field === 'models' ? value.split(',').filter(Boolean) : provider.models,
+    }, ctx.from.id);
+    if (error) {
+      await ctx.reply(`❌ ${error}`);
+      return;
+    }
+    reloadProviderSessions(name);
+    await ctx.reply(`✅ 已更新服务商 ${name} 的 ${field}，相关会话已重新加载。`);
+  });
+
+  // /removeprovider <名称>
+  bot.command('removeprovider', async (ctx) => {
+    if (!isAdmin(ctx)) return;
+    const name = ctx.message.text.split(/\s+/)[1];
+    if (!name) {
+      await ctx.reply('用法: /removeprovider <名称>');
+      return;
+    }
+    if (!removeRuntimeProvider(name)) {
+      await ctx.reply(`❌ 没有运行时服务商 ${name}。`);
+      return;
+    }
+    reloadProviderSessions(name);
+    await ctx.reply(`✅ 已移除服务商 ${name}，使用它的用户将改用默认模型。`);
+  });
+
+  // /quota <ID|default>
+  bot.command('quota', async (ctx) => {
+    if (!isAdmin(ctx)) return;
+    const arg = ctx.message.text.split(/\s+/)[1];
+    if (!arg || arg === 'default') {
+      await ctx.reply(
+        `📏 默认配额\n\n${formatDefaultQuota()}\n\n` +
+        '用法: /quota <用户ID> 查看用户配额和剩余额度\n/setquota 修改配额',
+      );
+      return;
+    }
+    const targetId = Number(arg);
+    if (!targetId) {
+      await ctx.reply('❌ 无效的用户 ID，必须是数字。');
+      return;
+    }
+    const user = userRepo.get(targetId);
+    const storage = user
+      ? `\n💾 存储: ${formatBytes(user.storage_bytes)} / ${formatBytes(user.storage_limit)}`
+      : '\n\nℹ️ 该用户还没有使用过机器人。';
+    await ctx.reply(`📏 用户 ${targetId}${user?.username ? ' (@' + user.username + ')' : ''} 的配额\n\n${formatQuotaLines(targetId)}${storage}`);
+  });
+
+  // /setquota <ID|default> 项=值 ...
+  bot.command('setquota', async (ctx) => {
+    if (!isAdmin(ctx)) return;
+    const [target, ...args] = ctx.message.text.split(/\s+/).slice(1);
+    if (!target || !args.length) {
+      await ctx.reply(
+        '用法: /setquota <用户ID|default> 项=值 ...\n\n' +
+        '  tasks=50 - 每日任务数\n' +
+        '  tokens=2M - 每月 Token（输入 + 输出）\n' +
+        '  cost=5 - 每月费用（美元）\n' +
+        '  duration=10m - 单任务最长时间（s/m/h）\n' +
+        '  storage=100MB - 存储空间（仅用户）\n\n' +
+        '值为 none 表示不限，default 表示恢复默认配额。\n' +
+        '例: /setquota default tasks=30 tokens=1M\n' +
+        '例: /setquota 123456 cost=10 duration=default',
+      );
+      return;
+    }
+    const forDefault = target === 'default';
+    const targetId = Number(target);
+    if (!forDefault && !targetId) {
+      await ctx.reply('❌ 无效的用户 ID，必须是数字。');
+      return;
+    }
+    const { changes, error } = parseQuotaArgs(args, forDefault);
+    if (error) {
+      await ctx.reply(error);
+      return;
+    }
+    if (forDefault) {
+      setDefaultQuota(changes);
+      await ctx.reply(`✅ 默认配额已更新\n\n${formatDefaultQuota()}`);
+      return;
+    }
+    if (!userRepo.get(targetId)) userRepo.upsert(targetId, null);
+    setUserQuota(targetId, changes);
+    const user = userRepo.get(targetId);
+    await ctx.reply(
+      `✅ 用户 ${targetId} 的配额已更新\n\n${formatQuotaLines(targetId)}\n` +
+      `💾 存储: ${formatBytes(user.storage_bytes)} / ${formatBytes(user.storage_limit)}`,
+    );
+  });
+
+  // /usage [天数]
+  bot.command('usage', async (ctx) => {
+    if (!isAdmin(ctx)) return;
+    const args = ctx.message.text.split(/\s+/).slice(1);
+    const days = Math.min(Math.max(parseInt(args[0], 10) || 7, 1), 90);
+    const { total, byDay, byUser, byModel, fallbacks } = taskRepo.usageReport(Date.now() - days * 24 * 60 * 60 * 1000);
+    const line = (r) => `${r.tasks}次 | ${formatTokens(r.inputTokens)}↑ ${formatTokens(r.outputTokens)}↓ ${formatTokens(r.cacheTokens)}缓存 | ${formatCost(r.cost)}`;
+
+    let text = `📈 用量报表（最近 ${days} 天）\n\n`;
+    text += `合计: ${line(total)}\n`;
+    if (byDay.length > 0) {
+      text += '\n📅 按天:\n' + byDay.map(r => `  ${r.day}: ${line(r)}`).join('\n') + '\n';
+    }
+    if (byUser.length > 0) {
+      text += '\n👤 按用户:\n' + byUser.slice(0, 15).map(r => {
+        const name = r.username ? ` (@${r.username})` : '';
+        return `  ${r.user_id}${name}: ${line(r)}`;
+      }).join('\n') + '\n';
+    }
+    if (byModel.length > 0) {
+      text += '\n📡 按模型:\n' + byModel.map(r => `  ${r.model}: ${line(r)}`).join('\n') + '\n';
+    }
+    if (fallbacks.length > 0) {
+      const count = fallbacks.reduce((sum, r) => sum + r.tasks, 0);
+      text += `\n🔀 模型回退 ${count} 次:\n` + fallbacks.map(r => `  ${r.fallback_from} → ${r.model}: ${r.tasks}次 (成功 ${r.succeeded})`).join('\n') + '\n';
+    }
+    text += '\n💡 费用按各模型的价格估算（美元），仅供参考';
+    // 天数多、用户多时会超过单条消息的长度上限，分段发送
+    await sendLongText(ctx, text, createMainMenuKb());
+  });
+
   // /listusers
   bot.command('listusers', async (ctx) => {
     if (!isAdmin(ctx)) return;
@@ -291,4 +583,58 @@ export function registerCommands(bot, runningTasks, lastMessages) {
     }
     await ctx.reply(text, { reply_markup: createMainMenuKb() });
   });
+  // ==================== 群聊白名单 ====================
+
+  // 群 ID：参数优先，在群里发送时默认当前群
+  const parseGroupId = (ctx) => {
+    const arg = ctx.message.text.split(/\s+/)[1];
+    if (arg) return /^-\d+$/.test(arg) ? Number(arg) : null;
+    return isGroupChat(ctx) ? ctx.chat.id : null;
+  };
+
+  // /addgroup
+  bot.command('addgroup', async (ctx) => {
+    if (!isAdmin(ctx)) return;
+    const chatId = parseGroupId(ctx);
+    if (!chatId) {
+      await ctx.reply('用法: 在群里发送 /addgroup，或 /addgroup <群ID>（群 ID 为负数）');
+      return;
+    }
+    groupRepo.add(chatId, chatId === ctx.chat.id ? ctx.chat.title : null, ctx.from.id);
+    await ctx.reply(`✅ 已开通群 ${chatId === ctx.chat.id ? ctx.chat.title : chatId}\n\n群成员 @ 我或回复我的消息即可使用。`);
+  });
+
+  // /removegroup
+  bot.command('removegroup', async (ctx) => {
+    if (!isAdmin(ctx)) return;
+    const chatId = parseGroupId(ctx);
+    if (!chatId) {
+      await ctx.reply('用法: 在群里发送 /removegroup，或 /removegroup <群ID>');
+      return;
+    }
+    if (!groupRepo.remove(chatId)) {
+      await ctx.reply(`ℹ️ 群 ${chatId} 不在白名单中。`);
+      return;
+    }
+    // 清除该群（含各话题）的会话：内存中的和数据库中保存的对话都要清除，重新开通后从头开始
+    const keys = new Set(conversationRepo.listGroupSessionKeys(chatId));
+    for (const key of getSessionKeys()) {
+      if (key === `${chatId}` || key.startsWith(`${chatId}_t`)) keys.add(key);
+    }
+    for (const key of keys) clearSession(key);
+    await ctx.reply(`✅ 已关闭群 ${chatId}，该群的会话已清除。`);
+  });
+
+  // /listgroups
+  bot.command('listgroups', async (ctx) => {
+    if (!isAdmin(ctx)) return;
+    const groups = groupRepo.list();
+    const text = groups.length
+      ? `👥 已开通的群 (${groups.length}):\n\n` + groups.map(g => {
+        const date = new Date(g.added_at).toLocaleDateString('zh-CN');
+        return `  ${g.chat_id}${g.title ? ` (${g.title})` : ''} — ${date} 添加`;
+      }).join('\n')
+      : '👥 还没有开通任何群。\n\n把我拉进群后在群里发送 /addgroup 即可开通。';
+    await ctx.reply(text);
+  });
 }
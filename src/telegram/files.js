@@ -0,0 +1,244 @@
+/**
+ * 文件管理模块
+ * /files 分页列出用户的文件，支持下载、删除、重命名，以及附加到下一条消息发给 AI
+ */
+
+import { InlineKeyboard } from 'grammy';
+import { dirname, extname, resolve } from 'path';
+import { existsSync } from 'fs';
+import { rename } from 'fs/promises';
+import { formatBytes } from '../utils.js';
+import { IMAGE_MIME_TYPES } from '../vision.js';
+import { isSpeechEnabled } from '../media.js';
+import { stripBotMention } from './groups.js';
+import { userRepo, fileRepo } from '../../db.js';
+
+const PAGE_SIZE = 8;
+// 重命名和附加文件等待用户下一条消息的有效期
+const PENDING_TTL_MS = 10 * 60 * 1000;
+
+const pendingRenames = new Map(); // userChatKey -> { value: 文件ID, at }
+const attachedFiles = new Map(); // userChatKey -> { value: 文件ID[], at }
+
+const IMAGE_EXTS = { '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png', '.gif': 'image/gif', '.webp': 'image/webp' };
+
+// 文件快捷操作，prompt 为 null 表示由用户自己说明，local 为本地处理（见 media.js）
+export const FILE_ACTIONS = {
+  summarize: { label: '📋 总结内容', prompt: '请总结这个文件的内容' },
+  extract: { label: '🔍 提取关键信息', prompt: '请提取这个文件中的关键信息' },
+  translate: { label: '🌐 翻译', prompt: '请将这个文件内容翻译成英文' },
+  describe: { label: '👀 描述图片', prompt: '请描述这张图片的内容' },
+  ocr: { label: '📝 提取文字', prompt: '请提取这张图片中的所有文字，保持原有排版' },
+  imgtranslate: { label: '🌐 翻译图中文字', prompt: '请提取这张图片中的文字并翻译成中文（中文内容则翻译成英文）' },
+  analyze: { label: '📊 分析数据', prompt: '请分析这个表格：说明数据结构，给出关键统计和主要发现' },
+  chart: { label: '📈 生成图表', prompt: '请根据这个表格的数据生成合适的图表，保存为图片发给我' },
+  list: { label: '🗂 列出内容', prompt: '请列出这个压缩包中的文件和目录结构（不要解压到其他位置）' },
+  explain: { label: '💡 解释代码', prompt: '请解释这段代码的功能和主要逻辑' },
+  review: { label: '🔎 代码审查', prompt: '请审查这段代码，指出潜在的问题并给出改进建议' },
+  transcribe: { label: '🔊 转成文字', local: true },
+  frames: { label: '🎞 截取画面', local: true },
+  audio: { label: '🎵 提取音轨', local: true },
+  custom: { label: '💬 我来说明', prompt: null },
+};
+
+// 按扩展名划分文件类型，决定可用的快捷操作（textActions: 已转写出文字时的操作）
+const FILE_KINDS = [
+  { exts: ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.bmp'], actions: ['describe', 'ocr', 'imgtranslate'] },
+  { exts: ['.xlsx', '.xls', '.xlsm', '.ods', '.csv', '.tsv'], actions: ['analyze', 'chart', 'summarize'] },
+  { exts: ['.zip', '.tar', '.gz', '.tgz', '.bz2', '.xz', '.7z', '.rar'], actions: ['list'] },
+  {
+    exts: ['.js', '.mjs', '.cjs', '.ts', '.tsx', '.jsx', '.py', '.go', '.rs', '.java', '.kt', '.c', '.h', '.cpp', '.cs', '.php', '.rb', '.sh', '.sql', '.json', '.yaml', '.yml', '.html', '.css', '.vue'],
+    actions: ['explain', 'review', 'summarize'],
+  },
+  {
+    exts: ['.ogg', '.oga', '.opus', '.mp3', '.m4a', '.wav', '.flac', '.aac'],
+    actions: ['transcribe'], textActions: ['summarize', 'extract', 'translate'],
+  },
+  {
+    exts: ['.mp4', '.mov', '.mkv', '.webm', '.avi', '.m4v'],
+    actions: ['frames', 'transcribe', 'audio'], textActions: ['frames', 'summarize', 'translate', 'audio'],
+  },
+];
+const DEFAULT_ACTIONS = ['summarize', 'extract', 'translate'];
+
+// 去掉文件名中的路径和非法字符
+export function sanitizeFileName(name) {
+  return name.trim().replace(/[/\\:*?"<>|]/g, '_').replace(/^\.*/, '');
+}
+
+// 按扩展名判断图片类型（可以作为图片内容发给模型的格式）
+export function getImageMimeType(fileName) {
+  const mimeType = IMAGE_EXTS[extname(fileName).toLowerCase()];
+  return IMAGE_MIME_TYPES.includes(mimeType) ? mimeType : null;
+}
+
+// 发给 AI 的文件说明
+export function describeFile(file) {
+  let text = `[已上传文件: ${file.file_name} (${Math.round(file.size_bytes / 1024)}KB) 保存在 ${file.file_path}]`;
+  if (file.text_path && existsSync(file.text_path)) {
+    text += `\n[已提取文本（${file.text_summary}）保存在 ${file.text_path}，请优先读取该文件]`;
+  }
+  return text;
+}
+
+/**
+ * 把文件和用户的要求组合成 prompt，图片同时作为图片内容发送
+ * @returns {{ prompt: string, images: Array<{ path: string, mimeType: string }> }}
+ */
+export function buildFilePrompt(files, request) {
+  const images = files
+    .map(file => ({ path: file.file_path, mimeType: getImageMimeType(file.file_name) }))
+    .filter(image => image.mimeType);
+  return { prompt: `${files.map(describeFile).join('\n')}\n\n${request}`, images };
+}
+
+// 取用户自己的文件，不存在或不属于该用户时返回 null
+export function getOwnFile(userId, fileId) {
+  const file = fileRepo.get(fileId);
+  return file && file.user_id === userId ? file : null;
+}
+
+/**
+ * 文件快捷操作按钮，回调数据绑定文件 ID：file_<操作>_<文件ID>
+ * @param {InlineKeyboard} kb - 追加到已有键盘（默认新建）
+ */
+export function createFileActionsKb(file, kb = new InlineKeyboard()) {
+  const ext = extname(file.file_name).toLowerCase();
+  const kind = FILE_KINDS.find(k => k.exts.includes(ext));
+  const actions = (file.text_path && kind?.textActions) || kind?.actions || DEFAULT_ACTIONS;
+  // 未配置语音识别时不显示转写
+  const available = [...actions, 'custom'].filter(action => action !== 'transcribe' || isSpeechEnabled());
+  available.forEach((action, i) => {
+    if (i && i % 2 === 0) kb.row();
+    kb.text(FILE_ACTIONS[action].label, `file_${action}_${file.id}`);
+  });
+  return kb;
+}
+
+function formatDate(ms) {
+  return new Date(ms).toLocaleString('zh-CN', { timeZone: 'Asia/Shanghai', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * 文件列表（分页）
+ * @returns {{ text: string, reply_markup: InlineKeyboard }}
+ */
+export function renderFileList(userId, offset = 0) {
+  const total = fileRepo.countByUser(userId);
+  if (offset >= total) offset = Math.max(0, Math.floor((total - 1) / PAGE_SIZE) * PAGE_SIZE);
+  const files = fileRepo.listPage(userId, offset, PAGE_SIZE);
+  const user = userRepo.get(userId);
+  const kb = new InlineKeyboard();
+
+  if (!files.length) {
+    return { text: '📁 我的文件\n\n还没有文件，直接发文件给我即可上传。', reply_markup: kb.text('🏠 主菜单', 'main_menu') };
+  }
+
+  let text = `📁 我的文件（第 ${offset + 1}-${offset + files.length} 个，共 ${total} 个）\n`;
+  if (user) text += `💾 ${formatBytes(user.storage_bytes)} / ${formatBytes(user.storage_limit)}\n`;
+  text += '\n';
+  files.forEach((file, i) => {
+    text += `${offset + i + 1}. ${file.file_name}\n    ${formatBytes(file.size_bytes)} · ${formatDate(file.created_at)}\n`;
+    const label = file.file_name.length > 28 ? file.file_name.slice(0, 27) + '…' : file.file_name;
+    kb.text(`${offset + i + 1}. ${label}`, `files_open_${file.id}_${offset}`).row();
+  });
+  if (offset > 0) kb.text('⬅️ 上一页', `files_page_${Math.max(0, offset - PAGE_SIZE)}`);
+  if (offset + PAGE_SIZE < total) kb.text('下一页 ➡️', `files_page_${offset + PAGE_SIZE}`);
+  kb.row().text('🏠 主菜单', 'main_menu');
+  return { text, reply_markup: kb };
+}
+
+/**
+ * 单个文件的详情和操作按钮
+ * @param {number} offset - 返回列表时的页码位置
+ */
+export function renderFileDetail(file, offset = 0) {
+  const text =
+    `📄 ${file.file_name}\n\n` +
+    `大小: ${formatBytes(file.size_bytes)}\n` +
+    `时间: ${formatDate(file.created_at)}` +
+    (file.text_summary ? `\n文本: ${file.text_summary}` : '');
+  // 快捷操作中的「我来说明」即附加到下一条消息
+  const reply_markup = createFileActionsKb(file)
+    .row()
+    .text('⬇️ 下载', `files_get_${file.id}`)
+    .text('✏️ 重命名', `files_ren_${file.id}`)
+    .text('🗑 删除', `files_del_${file.id}_${offset}`)
+    .row()
+    .text('⬅️ 返回列表', `files_page_${offset}`);
+  return { text, reply_markup };
+}
+
+// ==================== 等待用户输入 ====================
+
+function takePending(map, key) {
+  const pending = map.get(key);
+  map.delete(key);
+  return pending && Date.now() - pending.at < PENDING_TTL_MS ? pending.value : null;
+}
+
+export function setPendingRename(key, fileId) {
+  attachedFiles.delete(key);
+  pendingRenames.set(key, { value: fileId, at: Date.now() });
+}
+
+// 附加到下一条消息的文件（相册为多个文件）
+export function setAttachedFiles(key, fileIds) {
+  pendingRenames.delete(key);
+  attachedFiles.set(key, { value: [].concat(fileIds), at: Date.now() });
+}
+
+/**
+ * 取出附加到下一条消息的文件（已删除的文件会被跳过）
+ * @returns {object[]} files 表记录
+ */
+export function takeAttachedFiles(key, userId) {
+  const fileIds = takePending(attachedFiles, key) || [];
+  return fileIds.map(id => getOwnFile(userId, id)).filter(file => file && existsSync(file.file_path));
+}
+
+/**
+ * 处理重命名时用户发来的新文件名
+ * @returns {Promise<boolean>} 是否为重命名回复（是则不再交给 AI）
+ */
+export async function handleRenameReply(ctx, key) {
+  const fileId = takePending(pendingRenames, key);
+  if (!fileId) return false;
+  const file = getOwnFile(ctx.from.id, fileId);
+  if (!file) {
+    await ctx.reply('⚠️ 文件已不存在。');
+    return true;
+  }
+
+  const input = stripBotMention(ctx, ctx.message.text).trim();
+  if (input === '取消') {
+    await ctx.reply('已取消重命名。');
+    return true;
+  }
+  let name = sanitizeFileName(input);
+  // 没写扩展名时保留原扩展名
+  if (name && !extname(name) && extname(file.file_name)) name += extname(file.file_name);
+  if (!name || name.length > 200) {
+    await ctx.reply('❌ 无效的文件名，请重新点击 ✏️ 重命名。');
+    return true;
+  }
+  if (name === file.file_name) {
+    await ctx.reply('ℹ️ 文件名没有变化。', { reply_markup: renderFileDetail(file).reply_markup });
+    return true;
+  }
+
+  const newPath = resolve(dirname(file.file_path), name);
+  if (existsSync(newPath)) {
+    await ctx.reply(`❌ 已存在同名文件 ${name}，请重新点击 ✏️ 重命名换一个名字。`);
+    return true;
+  }
+  try {
+    await rename(file.file_path, newPath);
+  } catch (err) {
+    await ctx.reply(`❌ 重命名失败: ${err.code === 'ENOENT' ? '文件已丢失' : err.message}`);
+    return true;
+  }
+  fileRepo.rename(file.id, name, newPath);
+  await ctx.reply(`✅ 已重命名为 ${name}`, { reply_markup: renderFileDetail(fileRepo.get(file.id)).reply_markup });
+  return true;
+}
@@ -0,0 +1,97 @@
+/**
+ * 群聊模块
+ * 群里只响应 @ 机器人、回复机器人的消息和命令；回复挂在触发消息下面，论坛话题内的消息发回该话题
+ */
+
+import { ADMIN_USER } from '../config.js';
+import { groupRepo } from '../../db.js';
+
+const THREADED_METHODS = /^(send|copyMessage|forwardMessage)/;
+
+export function isGroupChat(ctx) {
+  const type = ctx.chat?.type;
+  return type === 'group' || type === 'supergroup';
+}
+
+// 回复的是否为机器人的消息（话题内的普通消息会带着话题创建消息作为 reply_to_message，不算）
+function isReplyToBot(ctx) {
+  const reply = ctx.msg?.reply_to_message;
+  return !!reply && !reply.forum_topic_created && reply.from?.id === ctx.me.id;
+}
+
+function botMentions(ctx) {
+  const text = ctx.msg?.text ?? ctx.msg?.caption ?? '';
+  const entities = ctx.msg?.entities ?? ctx.msg?.caption_entities ?? [];
+  const username = `@${ctx.me.username}`.toLowerCase();
+  return entities.filter(e =>
+    (e.type === 'mention' && text.slice(e.offset, e.offset + e.length).toLowerCase() === username) ||
+    (e.type === 'text_mention' && e.user?.id === ctx.me.id));
+}
+
+// 群消息是否是发给机器人的（私聊总是）
+export function isAddressedToBot(ctx) {
+  if (!isGroupChat(ctx)) return true;
+  return isReplyToBot(ctx) || botMentions(ctx).length > 0;
+}
+
+// 去掉文字中 @ 机器人的部分（text_mention 是普通文字，保留）
+export function stripBotMention(ctx, text) {
+  if (!isGroupChat(ctx) || !text) return text;
+  const mentions = botMentions(ctx).filter(e => e.type === 'mention').sort((a, b) => b.offset - a.offset);
+  for (const e of mentions) text = text.slice(0, e.offset) + text.slice(e.offset + e.length);
+  return text.replace(/[ \t]{2,}/g, ' ').trim();
+}
+
+export function displayName(user) {
+  return [user.first_name, user.last_name].filter(Boolean).join(' ') || user.username || String(user.id);
+}
+
+// 群会话由多人共用，发给 AI 的内容前面标上发送者
+export function withSender(ctx, text) {
+  if (!isGroupChat(ctx) || !ctx.from) return text;
+  return `[群成员 ${displayName(ctx.from)}]: ${text}`;
+}
+
+// 群里的功能是否已开通（管理员在任何群都可以使用）
+export function isGroupAllowed(ctx) {
+  return ctx.from?.id === ADMIN_USER || groupRepo.has(ctx.chat.id);
+}
+
+export const GROUP_DENIED_TEXT = '⛔ 本群还没有开通，请管理员在群里发送 /addgroup';
+
+export function registerGroupSupport(bot) {
+  // 群消息（包括修改后的消息）：本次更新中发到该群的消息都回复触发的消息；论坛话题内（包括按钮触发的任务）发回原话题
+  bot.use(async (ctx, next) => {
+    const trigger = ctx.message ?? ctx.editedMessage;
+    const msg = trigger ?? ctx.callbackQuery?.message;
+    if (msg && isGroupChat(ctx)) {
+      const chatId = ctx.chat.id;
+      const threadId = msg.is_topic_message ? msg.message_thread_id : undefined;
+      const replyTo = trigger?.message_id;
+      ctx.api.config.use((prev, method, payload, signal) => {
+        if (!THREADED_METHODS.test(method) || payload?.chat_id !== chatId) return prev(method, payload, signal);
+        const extra = {};
+        if (threadId && payload.message_thread_id === undefined) extra.message_thread_id = threadId;
+        if (replyTo && method !== 'sendChatAction' && !payload.reply_parameters && !payload.reply_to_message_id) {
+          extra.reply_parameters = { message_id: replyTo, allow_sending_without_reply: true };
+        }
+        return prev(method, { ...payload, ...extra }, signal);
+      });
+    }
+    await next();
+  });
+
+  // 被拉进群：管理员拉的直接开通，否则提示需要管理员开通
+  bot.on('my_chat_member', async (ctx) => {
+    if (!isGroupChat(ctx)) return;
+    const { old_chat_member: before, new_chat_member: after } = ctx.myChatMember;
+    const joined = ['left', 'kicked'].includes(before.status) && ['member', 'administrator'].includes(after.status);
+    if (!joined) return;
+    if (ctx.from?.id === ADMIN_USER) {
+      groupRepo.add(ctx.chat.id, ctx.chat.title, ADMIN_USER);
+      await ctx.reply('👋 大家好，本群已开通。@ 我或回复我的消息就可以让我干活。').catch(() => {});
+    } else if (!groupRepo.has(ctx.chat.id)) {
+      await ctx.reply(`👋 大家好。${GROUP_DENIED_TEXT}\n群 ID: ${ctx.chat.id}`).catch(() => {});
+    }
+  });
+}
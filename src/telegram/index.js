@@ -2,7 +2,8 @@
  * Telegram 模块入口
  */
 
-export { welcomeKb, createDoneKb, createMainMenuKb, createModelKb, createSubmissionsMenuKb, createSubmissionsListKb } from './keyboards.js';
-export { isAdmin, isAllowed, sessionKey, touchUser, registerCommands } from './commands.js';
+export { welcomeKb, createDoneKb, createMainMenuKb, createModelKb, createAllowedModelsKb, createQueueKb, createSubmissionsMenuKb, createSubmissionsListKb } from './keyboards.js';
+export { isAdmin, isAllowed, hasAdminTools, sessionKey, userChatKey, touchUser, registerCommands } from './commands.js';
+export { isGroupChat, isAddressedToBot, registerGroupSupport } from './groups.js';
 export { registerCallbacks } from './callbacks.js';
 export { registerMessageHandlers } from './messages.js';
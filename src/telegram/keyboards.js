@@ -3,6 +3,7 @@
  */
 
 import { InlineKeyboard } from 'grammy';
+import { getModelKey } from '../models.js';
 
 // 主菜单键盘
 export const welcomeKb = new InlineKeyboard()
@@ -24,17 +25,35 @@ export function createMainMenuKb() {
 }
 
 // 创建模型选择键盘
-export function createModelKb(models, currentIndex) {
+export function createModelKb(models, currentIndex, admin = false) {
   const kb = new InlineKeyboard();
   models.forEach((m, i) => {
     const isCurrent = i === currentIndex;
     kb.text(`${isCurrent ? '✅' : ''} ${m.name}`, `set_model_${i}`);
     if ((i + 1) % 2 === 0) kb.row();
   });
+  if (admin) kb.row().text('⚙️ 管理用户可选模型', 'manage_models');
   kb.row().text('🏠 主菜单', 'main_menu');
   return kb;
 }
 
+// 创建用户可选模型管理键盘（管理员）
+export function createAllowedModelsKb(models, allowedKeys) {
+  const kb = new InlineKeyboard();
+  models.forEach((m, i) => {
+    kb.text(`${allowedKeys.has(getModelKey(m)) ? '✅' : '⬜'} ${m.name}`, `toggle_model_${i}`).row();
+  });
+  kb.text('📡 返回模型列表', 'show_models');
+  return kb;
+}
+
+// 创建排队消息键盘
+export function createQueueKb(queueId) {
+  return new InlineKeyboard()
+    .text('⚡ 插入当前任务', `queue_steer_${queueId}`)
+    .text('🗑 移出队列', `queue_drop_${queueId}`);
+}
+
 // 创建咨询菜单键盘
 export function createSubmissionsMenuKb() {
   return new InlineKeyboard()
@@ -2,24 +2,32 @@
  * Telegram 消息处理模块
  */
 
-import { InlineKeyboard } from 'grammy';
-import { resolve } from 'path';
-import { mkdir, writeFile } from 'fs/promises';
-import { existsSync } from 'fs';
-import { TIMEOUT_MS } from '../config.js';
-import { getSession, setSession, deleteSession } from '../session.js';
+import { TIMEOUT_MS, TG_MAX_LEN, MESSAGE_MERGE_MS } from '../config.js';
+import { getSession, setSession, getLiveSession, deleteSession } from '../session.js';
 import { createPiSession, runAgent } from '../agent.js';
 import { ProgressMessage } from '../progress.js';
-import { sendLongText, formatBytes, convertToTelegramMarkdown } from '../utils.js';
-import { isAdmin, isAllowed, sessionKey, touchUser } from './commands.js';
-import { createDoneKb } from './keyboards.js';
-import { userRepo, fileRepo, taskRepo, skillUsageRepo } from '../../db.js';
+import { sendLongText, escapeHtml, formatThinkingHtml } from '../utils.js';
+import { markdownToHtml } from '../markdown.js';
+import { isAdmin, isAllowed, hasAdminTools, sessionKey, userChatKey, touchUser } from './commands.js';
+import { isGroupChat, isAddressedToBot, stripBotMention, withSender, GROUP_DENIED_TEXT } from './groups.js';
+import { createDoneKb, createQueueKb } from './keyboards.js';
+import { enqueue, dequeue, QUEUE_MAX } from './queue.js';
+import { prepareImageInput } from '../vision.js';
+import { checkQuota, getTaskTimeout } from '../quota.js';
+import { createOutbox, deliverOutbox } from '../outbox.js';
+import { buildFilePrompt, handleRenameReply, takeAttachedFiles } from './files.js';
+import { registerUploadHandlers } from './uploads.js';
+import { withMessageContext } from './replies.js';
+import { EDIT_WINDOW_MS, addTurn, findTurn, startTurn, isLatestTurn } from './turns.js';
+import { taskRepo, skillUsageRepo, exchangeRepo, conversationRepo } from '../../db.js';
 
 /**
  * 解析并保存 AI 输出中的技能使用方式
  */
+const SKILL_USAGE_RE = /\[SAVE_SKILL_USAGE\]\s*\n?skill:\s*(.+?)\s*\n?usage:\s*([\s\S]+?)\s*\n?desc:\s*(.+?)\s*\n?\[\/SAVE_SKILL_USAGE\]/gi;
+
 function parseAndSaveSkillUsage(response) {
-  const regex = /\[SAVE_SKILL_USAGE\]\s*\n?skill:\s*(.+?)\s*\n?usage:\s*([\s\S]+?)\s*\n?desc:\s*(.+?)\s*\n?\[\/SAVE_SKILL_USAGE\]/gi;
+  const regex = SKILL_USAGE_RE;
   let match;
   let savedCount = 0;
   
@@ -42,45 +50,130 @@ function parseAndSaveSkillUsage(response) {
 }
 
 export function registerMessageHandlers(bot, runningTasks, lastMessages) {
-  
+  // 任务运行中收到的消息加入队列
+  const queueMessage = async (ctx, key, userText, options) => {
+    const item = { ctx, userText, options };
+    const queued = enqueue(key, item);
+    if (!queued) {
+      options.cleanup?.();
+      await ctx.reply(`⚠️ 队列已满（最多 ${QUEUE_MAX} 条），请等当前任务完成或 /cancel 取消。`);
+      return;
+    }
+    if (options.turn) Object.assign(options.turn, { status: 'queued', item });
+    try {
+      const notice = await ctx.reply(`📥 已排队 (#${queued.position + 1})，当前任务完成后自动处理`, {
+        reply_markup: createQueueKb(queued.id),
+      });
+      item.noticeId = notice.message_id;
+    } catch {}
+  };
+
+  // 当前任务结束后处理队列中的下一条消息
+  const runNextQueued = async (key) => {
+    const item = dequeue(key);
+    if (!item) return;
+    if (item.noticeId) {
+      item.ctx.api.editMessageText(item.ctx.chat.id, item.noticeId, '▶️ 开始处理排队的消息').catch(() => {});
+    }
+    try {
+      await processUserMessage(item.ctx, item.userText, item.options);
+    } catch (err) {
+      console.error('[Bot] 处理排队消息失败:', err.message);
+    }
+    // 没有开始运行（如配额已用完）时继续处理下一条
+    if (!runningTasks.has(key)) runNextQueued(key);
+  };
+
   // 创建消息处理函数
-  const processUserMessage = async (ctx, userText) => {
+  // options.images: 本条消息附带的图片 [{ path, mimeType }]
+  // options.turn: 用户消息对应的提问记录（见 turns.js），修改消息后据此重新处理
+  // options.replaceIds: 重新处理时原来的回答消息，新的回答编辑到第一条里
+  // options.cleanup: 任务结束或消息不再处理后调用，删除随消息附带的临时文件（如视频截图）
+  const processUserMessage = async (ctx, userText, options = {}) => {
     const key = sessionKey(ctx);
-    const chatId = ctx.chat?.id || ctx.callbackQuery?.message?.chat?.id;
-    if (!userText.trim()) return;
+    if (!userText.trim()) {
+      options.cleanup?.();
+      return;
+    }
+
+    const quotaError = isAdmin(ctx) ? null : checkQuota(ctx.from.id);
+    if (quotaError) {
+      options.cleanup?.();
+      // 没有运行，修改消息后直接按新内容处理
+      if (options.turn) options.turn.status = 'new';
+      await ctx.reply(quotaError);
+      return;
+    }
 
     if (runningTasks.has(key)) {
-      await ctx.reply('⏳ 上一个任务还在进行中...', {
-        reply_markup: new InlineKeyboard()
-          .text('🛑 取消当前任务', 'cancel_task'),
-      });
+      await queueMessage(ctx, key, userText, options);
       return;
     }
 
+    // 任务在后台运行：grammY 顺序处理更新，在这里等待会阻塞取消、审批和排队等操作
+    const controller = new AbortController(); // 取消时用于中止排队等待
+    runningTasks.set(key, controller);
+    // 记下开始前的对话位置，修改消息后撤销这一回合（在这里同步标记，任务真正开始前修改消息也按运行中处理）
+    const conversationId = conversationRepo.getActive(key)?.id ?? null;
+    startTurn(key, options.turn || null, { conversationId, lastMessageId: conversationId ? conversationRepo.lastMessageId(conversationId) : 0 });
+    runTask(ctx, key, userText, options, controller.signal)
+      .catch(err => console.error('[Bot] 任务异常:', err))
+      .finally(async () => {
+        runningTasks.delete(key);
+        // 运行中修改了消息：先按新内容重新处理，再继续队列
+        const turn = options.turn;
+        if (turn?.rerunCtx) {
+          try {
+            await rerunTurn(turn.rerunCtx, turn);
+          } catch (err) {
+            console.error('[Bot] 重新处理失败:', err.message);
+          }
+          if (runningTasks.has(key)) return;
+        }
+        runNextQueued(key);
+      });
+  };
+
+  const runTask = async (ctx, key, userText, options, signal) => {
+    const chatId = ctx.chat?.id || ctx.callbackQuery?.message?.chat?.id;
     touchUser(ctx);
     lastMessages.set(key, userText);
-    runningTasks.set(key, true);
     const progress = new ProgressMessage(ctx);
     const startTime = Date.now();
     let taskStatus = 'ok';
+    let outbox = null; // 本次任务的发件箱，结束后（包括取消和出错）发送其中的文件
+
+    const turn = options.turn || null;
+    let answerIds = [];
 
     try {
       await ctx.api.sendChatAction(chatId, 'typing');
     } catch {}
 
-    const timer = setTimeout(async () => {
-      const session = getSession(key);
-      if (session) try { await session.abort(); } catch {}
-    }, TIMEOUT_MS);
+    // 重新处理：新的回答编辑到原来的第一条回答里，其余的删除
+    const [reuseMsgId, ...staleIds] = options.replaceIds || [];
+    for (const id of staleIds) ctx.api.deleteMessage(chatId, id).catch(() => {});
 
     try {
-      let session = getSession(key);
+      // 群会话由最先发言的成员创建（模型和思考强度按其设置），不带管理员工具
+      let session = await getSession(key, hasAdminTools(ctx));
       if (!session) {
-        session = await createPiSession(isAdmin(ctx));
-        setSession(key, session);
+        session = await createPiSession(hasAdminTools(ctx), [], ctx.from.id);
+        setSession(key, session, ctx.from.id);
       }
 
-      const result = await runAgent(session, userText, progress, ctx);
+      // 图片：模型支持看图时作为图片内容发送，否则附上 OCR 文字
+      const { images, note } = await prepareImageInput(session.model, options.images || []);
+      outbox = await createOutbox(ctx.from.id);
+      const outboxNote = `[本次任务的发件目录: ${outbox.dir}，写入其中的文件会在回答后自动发送给用户]`;
+      const prompt = [withSender(ctx, userText), note, outboxNote].filter(Boolean).join('\n\n');
+
+      const result = await runAgent(session, prompt, progress, ctx, images, {
+        signal,
+        timeoutMs: isAdmin(ctx) ? TIMEOUT_MS : getTaskTimeout(ctx.from.id),
+        outbox,
+        reuseMsgId,
+      });
       const duration = Date.now() - startTime;
       const durationStr = duration > 60000
         ? `${(duration / 60000).toFixed(1)}分钟`
@@ -88,30 +181,51 @@ export function registerMessageHandlers(bot, runningTasks, lastMessages) {
 
       // 解析并保存技能使用方式
       const { cleanedResponse } = parseAndSaveSkillUsage(result.response);
+      // 回复较长时前面的部分已定稿在之前的消息里，最后一条消息只显示剩余部分
+      const shownResponse = result.streamMsgId ? result.streamText.replace(SKILL_USAGE_RE, '').trim() : cleanedResponse;
 
       const doneKb = createDoneKb();
 
+      // 思考过程放在回答上方的可折叠引用块里（HTML），放不下时单独发送
+      let thinkingHtml = result.thinking ? formatThinkingHtml(result.thinking) : '';
+      const answerHtml = markdownToHtml(shownResponse) + escapeHtml(`\n\n⏱ ${durationStr}`);
+      if (thinkingHtml && (!result.streamMsgId || thinkingHtml.length + answerHtml.length > TG_MAX_LEN)) {
+        try { await ctx.reply(thinkingHtml, { parse_mode: 'HTML' }); } catch {}
+        thinkingHtml = '';
+      }
+
+      // 回答所在的消息，用户之后回复这些消息时据此找回这次问答
+      answerIds = [...(result.streamMsgIds || [])];
       if (result.streamMsgId) {
+        const html = thinkingHtml ? `${thinkingHtml}\n${answerHtml}` : answerHtml;
         try {
-          const finalText = cleanedResponse + `\n\n⏱ ${durationStr}`;
-          await ctx.api.editMessageText(chatId, result.streamMsgId, finalText, { reply_markup: doneKb, parse_mode: 'Markdown' });
+          await ctx.api.editMessageText(chatId, result.streamMsgId, html, { reply_markup: doneKb, parse_mode: 'HTML' });
         } catch {
           try {
-            const finalText = cleanedResponse + `\n\n⏱ ${durationStr}`;
-            await ctx.api.editMessageText(chatId, result.streamMsgId, finalText, { reply_markup: doneKb });
-          } catch {}
+            await ctx.api.editMessageText(chatId, result.streamMsgId, shownResponse + `\n\n⏱ ${durationStr}`, { reply_markup: doneKb });
+          } catch {
+            answerIds.push(...await sendLongText(ctx, shownResponse + `\n\n⏱ ${durationStr}`, doneKb));
+          }
         }
       } else if (cleanedResponse && cleanedResponse.trim()) {
-        await sendLongText(ctx, cleanedResponse + `\n\n⏱ ${durationStr}`, doneKb);
+        answerIds.push(...await sendLongText(ctx, cleanedResponse + `\n\n⏱ ${durationStr}`, doneKb));
       }
 
-      taskRepo.add(ctx.from.id, userText, duration, 'ok');
+      taskRepo.add(ctx.from.id, userText, duration, 'ok', result.usage);
+      try {
+        exchangeRepo.add(chatId, answerIds, ctx.from.id, userText, cleanedResponse);
+      } catch (err) {
+        console.error('[Bot] 保存问答记录失败:', err.message);
+      }
     } catch (err) {
       taskStatus = 'error';
+      answerIds = err.streamMsgIds || [];
       const duration = Date.now() - startTime;
       if (err.name === 'AbortError') {
-        await progress.error('任务已取消或超时。');
-        taskStatus = 'cancelled';
+        // 因修改消息而取消的不提示，马上会重新处理
+        if (err.timedOut) await progress.error('任务超时，已停止。可以把任务拆小一些再试。');
+        else if (!turn?.rerunCtx) await progress.error('任务已取消。');
+        taskStatus = err.timedOut ? 'timeout' : 'cancelled';
       } else if (err.status === 429) {
         await progress.error('请求过于频繁，请稍后再试。');
       } else if (err.status >= 500) {
@@ -120,81 +234,172 @@ export function registerMessageHandlers(bot, runningTasks, lastMessages) {
         console.error('[Bot]', err);
         await progress.error(`出错了: ${err.message?.slice(0, 200) || '未知错误'}`);
       }
-      taskRepo.add(ctx.from.id, userText, duration, taskStatus);
+      taskRepo.add(ctx.from.id, userText, duration, taskStatus, err.usage);
     } finally {
-      clearTimeout(timer);
-      runningTasks.delete(key);
+      options.cleanup?.();
+      if (outbox) {
+        try {
+          await deliverOutbox(ctx, ctx.from.id, outbox);
+        } catch (err) {
+          console.error('[Outbox] 发送文件失败:', err.message);
+        }
+      }
+      // 发送文件期间仍算运行中：这时修改消息会在任务结束后重新处理
+      if (turn) Object.assign(turn, { status: 'done', answerIds });
     }
   };
 
-  // 文本消息
+  // 发送给 AI 的文本（已合并，parts: [{ messageId, text }]），刚上传（未附说明）或在 /files 中选择的文件随之一起发送
+  // key 为 userChatKey，附加的文件属于发消息的用户
+  const sendText = async (ctx, key, parts) => {
+    const files = takeAttachedFiles(key, ctx.from.id);
+    const turn = addTurn({ key: sessionKey(ctx), chatId: ctx.chat.id, parts, files });
+    const { prompt, images } = buildTurnPrompt(turn);
+    await processUserMessage(ctx, prompt, { images, turn });
+  };
+
+  // ==================== 连续消息合并 ====================
+
+  // Telegram 会把长文本拆成多条消息，短时间内连续收到的文字合并成一条发给 AI
+  // key -> { ctx: 最后一条消息, parts: [{ messageId, text }], timer, noticeId }
+  const pendingInputs = new Map();
+
+  const flushInput = async (key) => {
+    const pending = pendingInputs.get(key);
+    pendingInputs.delete(key);
+    if (!pending) return;
+    const { ctx, parts, noticeId } = pending;
+    if (noticeId) ctx.api.deleteMessage(ctx.chat.id, noticeId).catch(() => {});
+    try {
+      await sendText(ctx, key, parts);
+    } catch (err) {
+      console.error('[Bot] 处理合并消息失败:', err.message);
+    }
+  };
+
+  const collectInput = async (ctx, key, part) => {
+    let pending = pendingInputs.get(key);
+    if (!pending) {
+      pending = { ctx, parts: [], timer: null, noticeId: null };
+      pendingInputs.set(key, pending);
+    }
+    pending.ctx = ctx;
+    pending.parts.push(part);
+    clearTimeout(pending.timer);
+    pending.timer = setTimeout(() => flushInput(key), MESSAGE_MERGE_MS);
+
+    // 收到第二条起提示仍在接收
+    if (pending.parts.length < 2) return;
+    const notice = `📥 已收到 ${pending.parts.length} 条消息，继续接收中...`;
+    if (pending.noticeId) {
+      ctx.api.editMessageText(ctx.chat.id, pending.noticeId, notice).catch(() => {});
+      return;
+    }
+    try {
+      const msg = await ctx.reply(notice);
+      // 发送提示期间可能已经合并完成
+      if (pendingInputs.get(key) === pending) pending.noticeId = msg.message_id;
+      else ctx.api.deleteMessage(ctx.chat.id, msg.message_id).catch(() => {});
+    } catch {}
+  };
+
+  // 文本消息（含转发的消息），群里只处理 @ 机器人和回复机器人的消息
   bot.on('message:text', async (ctx) => {
+    if (!isAddressedToBot(ctx)) return;
     if (!isAllowed(ctx)) {
-      await ctx.reply('⛔ 无权限。\n你的 ID: ' + ctx.from.id);
+      await ctx.reply(isGroupChat(ctx) ? GROUP_DENIED_TEXT : '⛔ 无权限。\n你的 ID: ' + ctx.from.id);
+      return;
+    }
+    const key = userChatKey(ctx);
+    if (await handleRenameReply(ctx, key)) return;
+
+    // 被回复的消息和转发来源一起发给 AI（只 @ 机器人时就是让机器人看被回复的消息）
+    const text = withMessageContext(ctx, stripBotMention(ctx, ctx.message.text));
+    if (!text) {
+      await ctx.reply('👋 在呢，有什么需要？');
       return;
     }
-    await processUserMessage(ctx, ctx.message.text);
+    const part = { messageId: ctx.message.message_id, text };
+    if (MESSAGE_MERGE_MS > 0) {
+      await collectInput(ctx, key, part);
+    } else {
+      await sendText(ctx, key, [part]);
+    }
   });
 
-  // 文件上传
-  bot.on(['message:document', 'message:photo'], async (ctx) => {
-    if (!isAllowed(ctx)) return;
-    touchUser(ctx);
-    try {
-      const file = await ctx.getFile();
-      const url = `https://api.telegram.org/file/bot${process.env.BOT_TOKEN}/${file.file_path}`;
-      const uploadsDir = resolve(process.cwd(), 'uploads', String(ctx.from.id));
-      await mkdir(uploadsDir, { recursive: true });
-      const rawName = ctx.message.document?.file_name || `file_${Date.now()}`;
-      const safeName = rawName.replace(/[/\\:*?"<>|]/g, '_').replace(/^\.*/, '') || `file_${Date.now()}`;
-      const ext = safeName.includes('.') ? '.' + safeName.split('.').pop() : '';
-      const base = safeName.includes('.') ? safeName.slice(0, safeName.lastIndexOf('.')) : safeName;
-      let fileName = safeName;
-      let savePath = resolve(uploadsDir, fileName);
-      let n = 1;
-      while (existsSync(savePath)) {
-        fileName = `${base}_${n}${ext}`;
-        savePath = resolve(uploadsDir, fileName);
-        n++;
-      }
-      const resp = await fetch(url);
-      const buffer = Buffer.from(await resp.arrayBuffer());
-
-      const user = userRepo.get(ctx.from.id);
-      if (user && user.storage_bytes + buffer.length > user.storage_limit) {
-        await ctx.reply(
-          `⚠️ 存储空间不足\n\n当前: ${formatBytes(user.storage_bytes)} / ${formatBytes(user.storage_limit)}\n` +
-          `文件: ${formatBytes(buffer.length)}\n\n用 /deletedata 清理数据或联系管理员。`,
-        );
-        return;
-      }
+  // ==================== 修改消息后重新处理 ====================
+
+  // 提问记录对应的 prompt：合并的多条消息拼起来，附加的文件一起发送
+  const buildTurnPrompt = (turn) => {
+    const text = turn.parts.map(part => part.text).join('\n');
+    if (!turn.files.length) return { prompt: text, images: [] };
+    return buildFilePrompt(turn.files, `用户说: ${text}`);
+  };
 
-      await writeFile(savePath, buffer);
-      fileRepo.add(ctx.from.id, fileName, savePath, buffer.length);
+  // 撤销会话中的这一回合：删掉之后保存的消息，释放内存中的会话，下次从历史重建
+  const rollbackTurn = (turn) => {
+    const { conversationId, lastMessageId } = turn.history;
+    const active = conversationRepo.getActive(turn.key);
+    if (conversationId && active?.id !== conversationId) return false; // 期间清除过对话
+    if (active && !conversationRepo.truncateAfter(active.id, lastMessageId)) return false;
+    deleteSession(turn.key);
+    return true;
+  };
 
-      const sizeKB = Math.round(buffer.length / 1024);
-      const caption = ctx.message.caption;
+  // 已结束的提问按修改后的内容重新处理（只能是会话中最近的回合）
+  const rerunTurn = async (ctx, turn) => {
+    turn.rerunCtx = null;
+    if (runningTasks.has(turn.key) || !isLatestTurn(turn) || !rollbackTurn(turn)) {
+      await ctx.reply('✏️ 消息已修改，但之后已经有新的对话，无法重新处理。需要的话请重新发送。');
+      return;
+    }
+    const { prompt, images } = buildTurnPrompt(turn);
+    await processUserMessage(ctx, prompt, { images, turn, replaceIds: turn.answerIds });
+  };
 
-      if (caption) {
-        await processUserMessage(ctx, `[已上传文件: ${fileName} (${sizeKB}KB) 保存在 ${savePath}]\n\n用户说: ${caption}`);
-      } else {
-        await ctx.reply(
-          `✅ 文件已收到\n\n📄 ${fileName} (${sizeKB}KB)\n\n你想让我怎么处理？`,
-          {
-            reply_markup: new InlineKeyboard()
-              .text('📋 总结内容', 'file_summarize')
-              .text('🔍 提取关键信息', 'file_extract')
-              .row()
-              .text('🌐 翻译', 'file_translate')
-              .text('💬 我来说明', 'file_custom'),
-          }
-        );
-        lastMessages.set(sessionKey(ctx), `[已上传文件: ${fileName} (${sizeKB}KB) 保存在 ${savePath}]`);
-      }
-    } catch (err) {
-      await ctx.reply(`❌ 文件处理失败: ${err.message}`);
+  bot.on('edited_message:text', async (ctx) => {
+    if (!isAddressedToBot(ctx) || !isAllowed(ctx)) return;
+    const messageId = ctx.editedMessage.message_id;
+    const text = withMessageContext(ctx, stripBotMention(ctx, ctx.editedMessage.text));
+
+    // 还在等待合并：直接替换
+    const part = pendingInputs.get(userChatKey(ctx))?.parts.find(p => p.messageId === messageId);
+    if (part) {
+      part.text = text;
+      return;
+    }
+
+    const turn = findTurn(ctx.chat.id, messageId);
+    if (!turn) {
+      await ctx.reply(`✏️ 消息已修改。只有最近 ${EDIT_WINDOW_MS / 60000} 分钟内的消息修改后会重新处理，需要的话请重新发送。`);
+      return;
+    }
+    turn.parts.find(p => p.messageId === messageId).text = text;
+
+    if (turn.status === 'new') {
+      // 上次没有运行（如配额已用完），直接按新内容处理
+      const { prompt, images } = buildTurnPrompt(turn);
+      await processUserMessage(ctx, prompt, { images, turn });
+      return;
     }
+    if (turn.status === 'queued') {
+      // 还没开始：更新排队中的内容
+      const { prompt, images } = buildTurnPrompt(turn);
+      Object.assign(turn.item, { userText: prompt, options: { ...turn.item.options, images } });
+      return;
+    }
+    if (turn.status === 'running') {
+      // 取消当前任务，结束后重新处理
+      turn.rerunCtx = ctx;
+      runningTasks.get(turn.key)?.abort();
+      const session = getLiveSession(turn.key);
+      if (session) try { await session.abort(); } catch {}
+      return;
+    }
+    await rerunTurn(ctx, turn);
   });
 
+  registerUploadHandlers(bot, processUserMessage);
+
   return processUserMessage;
 }
@@ -0,0 +1,61 @@
+/**
+ * 消息队列模块
+ * 任务运行期间收到的消息按会话排队，当前任务结束后依次处理，也可以插入正在运行的任务
+ */
+
+// 每个会话最多排队的消息数
+export const QUEUE_MAX = 5;
+
+// key -> [{ id, ctx, userText, options, noticeId }]（noticeId: "已排队" 提示消息）
+const queues = new Map();
+let nextQueueId = 1;
+
+/**
+ * 加入队列
+ * @returns {{ id: number, position: number } | null} 队列已满时返回 null
+ */
+export function enqueue(key, item) {
+  const queue = queues.get(key) || [];
+  if (queue.length >= QUEUE_MAX) return null;
+  const id = nextQueueId++;
+  item.id = id;
+  queue.push(item);
+  queues.set(key, queue);
+  return { id, position: queue.length };
+}
+
+// 取出队首消息
+export function dequeue(key) {
+  const queue = queues.get(key);
+  if (!queue?.length) return null;
+  const item = queue.shift();
+  if (!queue.length) queues.delete(key);
+  return item;
+}
+
+// 按 id 取出（移出）排队中的消息
+export function takeQueued(key, id) {
+  const queue = queues.get(key);
+  const index = queue?.findIndex(item => item.id === id) ?? -1;
+  if (index < 0) return null;
+  const [item] = queue.splice(index, 1);
+  if (!queue.length) queues.delete(key);
+  return item;
+}
+
+export function getQueueLength(key) {
+  return queues.get(key)?.length || 0;
+}
+
+// 不再处理的消息（移出或清空队列）：删除随消息附带的临时文件（options.cleanup）
+export function releaseQueued(item) {
+  item.options?.cleanup?.();
+}
+
+// 清空队列，返回被丢弃的消息
+export function clearQueue(key) {
+  const queue = queues.get(key) || [];
+  queues.delete(key);
+  queue.forEach(releaseQueued);
+  return queue;
+}
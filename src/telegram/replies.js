@@ -0,0 +1,115 @@
+/**
+ * 回复和转发的上下文
+ * 用户回复（或引用）某条消息、转发其他聊天的消息时，把被回复的内容和转发来源一起发给 AI
+ */
+
+import { displayName } from './groups.js';
+import { exchangeRepo } from '../../db.js';
+
+// 被回复内容和当时的问题最多带多少字
+const QUOTED_MAX = 1500;
+const PROMPT_MAX = 500;
+
+function truncate(text, max) {
+  return text.length > max ? text.slice(0, max) + '…' : text;
+}
+
+function quoteLines(text) {
+  return text.split('\n').map(line => `> ${line}`).join('\n');
+}
+
+function formatTime(unixSeconds) {
+  return new Date(unixSeconds * 1000).toLocaleString('zh-CN', { timeZone: 'Asia/Shanghai' });
+}
+
+// 消息里的媒体（用文字说明，文件本身不下载）
+function describeMedia(msg) {
+  if (msg.photo) return '[图片]';
+  if (msg.document) return `[文件: ${msg.document.file_name || '未命名'}]`;
+  if (msg.voice) return '[语音]';
+  if (msg.audio) return `[音频: ${msg.audio.title || msg.audio.file_name || '未命名'}]`;
+  if (msg.video || msg.video_note) return '[视频]';
+  if (msg.sticker) return msg.sticker.emoji ? `[贴纸 ${msg.sticker.emoji}]` : '[贴纸]';
+  if (msg.poll) return `[投票: ${msg.poll.question}]`;
+  if (msg.location) return `[位置: ${msg.location.latitude}, ${msg.location.longitude}]`;
+  if (msg.contact) return `[联系人: ${msg.contact.first_name}]`;
+  return '';
+}
+
+function messageContent(msg) {
+  return [describeMedia(msg), msg.text ?? msg.caption ?? ''].filter(Boolean).join(' ');
+}
+
+// 转发来源（MessageOrigin）
+function describeOrigin(origin) {
+  if (!origin) return '';
+  const name = {
+    user: () => displayName(origin.sender_user),
+    hidden_user: () => origin.sender_user_name,
+    chat: () => origin.sender_chat.title,
+    channel: () => `频道「${origin.chat.title}」`,
+  }[origin.type]?.() || '未知';
+  const signature = origin.author_signature ? `（${origin.author_signature}）` : '';
+  return `${name}${signature}，${formatTime(origin.date)}`;
+}
+
+/**
+ * 转发的消息：说明原发送者和时间
+ * @returns {string} 不是转发的消息时为空
+ */
+export function describeForward(msg) {
+  const source = forwardSource(msg);
+  return source ? `[转发的消息，来自 ${source}]` : '';
+}
+
+// 频道自动转发到讨论群的消息不算转发
+function forwardSource(msg) {
+  return msg?.forward_origin && !msg.is_automatic_forward ? describeOrigin(msg.forward_origin) : '';
+}
+
+/**
+ * 被回复的消息：引用的片段（或整条消息）、发送者；回复的是机器人之前的回答时附上当时的问题
+ * @returns {string} 没有回复时为空
+ */
+export function describeReply(ctx) {
+  const msg = ctx.msg;
+  const reply = msg?.reply_to_message;
+  // 论坛话题内的普通消息会带着话题创建消息作为 reply_to_message
+  const replied = reply && !reply.forum_topic_created ? reply : null;
+  const external = msg?.external_reply;
+  if (!replied && !external) return '';
+
+  let who;
+  let exchange = null;
+  if (replied) {
+    if (replied.from?.id === ctx.me.id) {
+      who = '你之前的回答';
+      exchange = exchangeRepo.get(ctx.chat.id, replied.message_id);
+    } else {
+      who = replied.from ? `${displayName(replied.from)} 的消息` : '一条消息';
+    }
+    const source = forwardSource(replied);
+    if (source) who += `（转发自 ${source}）`;
+  } else {
+    who = `其他聊天中的消息（来自 ${describeOrigin(external.origin)}）`;
+  }
+
+  // 用户选中引用的片段优先，否则为整条消息
+  let content = msg.quote?.text || (replied ? messageContent(replied) : describeMedia(external));
+  // 机器人回答末尾的耗时不算
+  if (!msg.quote && replied?.from?.id === ctx.me.id) content = content.replace(/\n*⏱ [^\n]*$/, '');
+  const lines = [`[用户${msg.quote ? '引用了' : '回复了'}${who}${content ? '：' : ''}]`];
+  if (content) lines.push(quoteLines(truncate(content, QUOTED_MAX)));
+  if (exchange) lines.push(`[那次回答对应的问题：]\n${quoteLines(truncate(exchange.prompt, PROMPT_MAX))}`);
+  return lines.join('\n');
+}
+
+/**
+ * 把回复和转发的上下文加到用户的文字前面
+ * @param {string} text - 用户的文字（转发的消息为转发内容）
+ */
+export function withMessageContext(ctx, text) {
+  const forward = describeForward(ctx.msg);
+  const body = forward ? [forward, text].filter(Boolean).join('\n') : text;
+  return [describeReply(ctx), body].filter(Boolean).join('\n\n');
+}
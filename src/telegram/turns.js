@@ -0,0 +1,71 @@
+/**
+ * 最近的提问记录
+ * 用户修改刚发的消息时，据此找到对应的任务状态、会话中的回合和回答消息，撤销后重新处理
+ */
+
+// 只有这段时间内发出的消息修改后会重新处理
+export const EDIT_WINDOW_MS = 5 * 60 * 1000;
+
+// `${chatId}:${messageId}` -> turn（合并发送的多条消息指向同一个 turn）
+const turnsByMessage = new Map();
+// sessionKey -> 会话中最近开始运行的 turn（最近的任务不是记录的提问时为 null）
+const latestTurns = new Map();
+
+/**
+ * 记录一次提问
+ * status: new（未开始）-> queued（排队中）-> running -> done
+ * @param {{ key: string, chatId: number, parts: Array<{ messageId: number, text: string }>, files: object[] }} turn
+ */
+export function addTurn(turn) {
+  pruneTurns();
+  Object.assign(turn, { at: Date.now(), status: 'new', item: null, history: null, answerIds: [], rerunCtx: null });
+  for (const { messageId } of turn.parts) turnsByMessage.set(`${turn.chatId}:${messageId}`, turn);
+  return turn;
+}
+
+// 找到消息对应的提问，超过修改时限的返回 null
+export function findTurn(chatId, messageId) {
+  const turn = turnsByMessage.get(`${chatId}:${messageId}`);
+  return turn && Date.now() - turn.at < EDIT_WINDOW_MS ? turn : null;
+}
+
+/**
+ * 任务开始运行
+ * @param {object|null} turn - 不是记录的提问（如按钮触发的任务）时为 null
+ * @param {{ conversationId: number|null, lastMessageId: number }} history - 开始前的对话位置，撤销时回到这里
+ */
+export function startTurn(key, turn, history) {
+  latestTurns.set(key, turn);
+  if (!turn) return;
+  turn.status = 'running';
+  turn.history = history;
+}
+
+/**
+ * 排队的提问插入了正在运行的任务：并入该任务的提问，之后修改其中任一条消息都按整个任务撤销重做
+ * 正在运行的任务不是记录的提问时只标记为已结束，修改后不再重新处理
+ */
+export function steerTurn(key, turn) {
+  if (!turn) return;
+  Object.assign(turn, { status: 'done', item: null });
+  const running = latestTurns.get(key);
+  if (running?.status !== 'running') return;
+  running.parts.push(...turn.parts);
+  running.files.push(...turn.files);
+  for (const { messageId } of turn.parts) turnsByMessage.set(`${turn.chatId}:${messageId}`, running);
+}
+
+// 是否为会话中最近的回合（之后又有新的回合时不能撤销）
+export function isLatestTurn(turn) {
+  return latestTurns.get(turn.key) === turn;
+}
+
+function pruneTurns() {
+  const now = Date.now();
+  for (const [id, turn] of turnsByMessage) {
+    if (now - turn.at >= EDIT_WINDOW_MS && turn.status !== 'running') turnsByMessage.delete(id);
+  }
+  for (const [key, turn] of latestTurns) {
+    if (!turn || !turnsByMessage.has(`${turn.chatId}:${turn.parts[0].messageId}`)) latestTurns.delete(key);
+  }
+}
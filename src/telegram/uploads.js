@@ -0,0 +1,397 @@
+/**
+ * 文件上传处理模块
+ * 文件、图片、语音、音频、视频的下载保存，文档提取文本，语音转写，相册合并为一条消息
+ */
+
+import { InputFile } from 'grammy';
+import { resolve } from 'path';
+import { existsSync } from 'fs';
+import { mkdir, rename, rm, writeFile, stat } from 'fs/promises';
+import { TG_DOWNLOAD_MAX_BYTES } from '../config.js';
+import { formatBytes } from '../utils.js';
+import { downloadTelegramFile, sniffFile, isTypeAllowed } from '../upload.js';
+import { canExtractText, extractText } from '../extract.js';
+import { isSpeechEnabled, transcribe, transcribeVideo, extractAudio, extractFrames, removeFrames, formatDuration } from '../media.js';
+import { isAllowed, userChatKey, touchUser } from './commands.js';
+import { isAddressedToBot, stripBotMention } from './groups.js';
+import { withMessageContext } from './replies.js';
+import { sanitizeFileName, buildFilePrompt, createFileActionsKb, setAttachedFiles } from './files.js';
+import { userRepo, fileRepo } from '../../db.js';
+
+const UPLOAD_UPDATES = ['message:document', 'message:photo', 'message:voice', 'message:audio', 'message:video', 'message:video_note'];
+// 相册中的每个文件是一条单独的消息，最后一条处理完后等待该时间再合并
+const ALBUM_WAIT_MS = 1500;
+// 不超过该时长的音频文件上传后自动转写，更长的点按钮转写
+const AUTO_TRANSCRIBE_MAX_SECONDS = 5 * 60;
+const PREVIEW_CHARS = 500;
+
+// 本地处理的文件操作：进行中和失败时的提示
+const MEDIA_ACTION_TEXT = {
+  transcribe: ['🔊 正在转写...', '无法转写'],
+  frames: ['🎞 正在截取画面...', '无法截取画面'],
+  audio: ['🎵 正在提取音轨...', '无法提取音轨'],
+};
+
+const AUDIO_EXTS = { 'audio/mpeg': '.mp3', 'audio/mp4': '.m4a', 'audio/x-m4a': '.m4a', 'audio/ogg': '.ogg', 'audio/wav': '.wav', 'audio/x-wav': '.wav', 'audio/flac': '.flac' };
+
+// 消息中的文件和默认文件名
+function getUploadMeta(message) {
+  const stamp = Date.now();
+  if (message.document) return { media: message.document, kind: 'file', name: message.document.file_name || `file_${stamp}` };
+  if (message.photo) return { media: message.photo.at(-1), kind: 'image', name: `photo_${stamp}.jpg` };
+  if (message.voice) return { media: message.voice, kind: 'voice', name: `voice_${stamp}.ogg` };
+  if (message.audio) {
+    const ext = AUDIO_EXTS[message.audio.mime_type] || '.mp3';
+    return { media: message.audio, kind: 'audio', name: message.audio.file_name || `audio_${stamp}${ext}` };
+  }
+  if (message.video) return { media: message.video, kind: 'video', name: message.video.file_name || `video_${stamp}.mp4` };
+  return { media: message.video_note, kind: 'video', name: `video_note_${stamp}.mp4` };
+}
+
+function preview(text) {
+  return text.length > PREVIEW_CHARS ? text.slice(0, PREVIEW_CHARS) + '…' : text;
+}
+
+// 转写结果保存在原文件旁边，和文档提取的文本一样供 AI 读取
+async function saveTranscript(file, text, duration) {
+  const path = `${file.file_path}.txt`;
+  await writeFile(path, text + '\n');
+  const summary = `语音转写，约 ${text.replace(/\s/g, '').length} 字` + (duration ? `，时长 ${formatDuration(duration)}` : '');
+  fileRepo.setText(file.id, path, summary, (await stat(path)).size);
+  return fileRepo.get(file.id);
+}
+
+// 用户上传目录中不重名的保存路径（重名时加序号）
+async function allocateUploadPath(userId, name) {
+  const uploadsDir = resolve(process.cwd(), 'uploads', String(userId));
+  await mkdir(uploadsDir, { recursive: true });
+  const safeName = sanitizeFileName(name) || `file_${Date.now()}`;
+  const ext = safeName.includes('.') ? '.' + safeName.split('.').pop() : '';
+  const base = safeName.includes('.') ? safeName.slice(0, safeName.lastIndexOf('.')) : safeName;
+  let fileName = safeName;
+  let savePath = resolve(uploadsDir, fileName);
+  let n = 1;
+  while (existsSync(savePath)) {
+    fileName = `${base}_${n}${ext}`;
+    savePath = resolve(uploadsDir, fileName);
+    n++;
+  }
+  return { fileName, savePath };
+}
+
+// 视频音轨另存为用户的文件（m4a），计入存储空间，之后可以转写或下载
+async function saveAudioTrack(userId, file) {
+  const name = file.file_name.replace(/\.[^.]+$/, '') + '.m4a';
+  const { fileName, savePath } = await allocateUploadPath(userId, name);
+  try {
+    await extractAudio(file.file_path, savePath);
+    const { size } = await stat(savePath);
+    const user = userRepo.get(userId);
+    if (user && user.storage_bytes + size > user.storage_limit) {
+      throw new Error(`存储空间不足（音轨 ${formatBytes(size)}），用 /files 清理后再试`);
+    }
+    return fileRepo.get(fileRepo.add(userId, fileName, savePath, size));
+  } catch (err) {
+    await rm(savePath, { force: true });
+    throw err;
+  }
+}
+
+/**
+ * 下载并保存消息中的文件
+ * 大小、存储空间和类型在下载前后检查，不通过时已回复用户并返回 null
+ * @returns {Promise<{ file: object, meta: object } | null>}
+ */
+async function saveUpload(ctx) {
+  const meta = getUploadMeta(ctx.message);
+  const declaredSize = meta.media.file_size || 0;
+
+  // 下载前按 Telegram 提供的大小检查，避免下载后才发现超限
+  if (declaredSize > TG_DOWNLOAD_MAX_BYTES) {
+    await ctx.reply(
+      `⚠️ 文件过大\n\n${meta.name}: ${formatBytes(declaredSize)}，最大支持 ${formatBytes(TG_DOWNLOAD_MAX_BYTES)}。\n` +
+      '请压缩或拆分后再发送。',
+    );
+    return null;
+  }
+  const user = userRepo.get(ctx.from.id);
+  const storageLeft = user ? Math.max(user.storage_limit - user.storage_bytes, 0) : Infinity;
+  const storageFullText = (size) =>
+    `⚠️ 存储空间不足\n\n当前: ${formatBytes(user.storage_bytes)} / ${formatBytes(user.storage_limit)}\n` +
+    `文件: ${formatBytes(size)}\n\n用 /files 或 /deletedata 清理文件，或联系管理员。`;
+  if (declaredSize > storageLeft) {
+    await ctx.reply(storageFullText(declaredSize));
+    return null;
+  }
+  const declaredType = meta.media.mime_type;
+  if (declaredType && !isTypeAllowed(declaredType)) {
+    await ctx.reply(`⛔ 不支持上传这种类型的文件（${declaredType}）。`);
+    return null;
+  }
+
+  let tempPath;
+  try {
+    const tgFile = await ctx.api.getFile(meta.media.file_id);
+    const { fileName, savePath } = await allocateUploadPath(ctx.from.id, meta.name);
+
+    // 先写入临时文件，检查类型后再改名
+    tempPath = `${savePath}.part`;
+    let size;
+    try {
+      size = await downloadTelegramFile(tgFile.file_path, tempPath, Math.min(TG_DOWNLOAD_MAX_BYTES, storageLeft));
+    } catch (err) {
+      if (err.code !== 'FILE_TOO_LARGE') throw err;
+      await ctx.reply(storageLeft < TG_DOWNLOAD_MAX_BYTES
+        ? storageFullText(declaredSize || storageLeft)
+        : `⚠️ 文件过大，最大支持 ${formatBytes(TG_DOWNLOAD_MAX_BYTES)}。`);
+      return null;
+    }
+    const mimeType = await sniffFile(tempPath, fileName);
+    if (!isTypeAllowed(mimeType)) {
+      await ctx.reply(`⛔ 不支持上传这种类型的文件（${mimeType}）。`);
+      return null;
+    }
+    await rename(tempPath, savePath);
+    tempPath = null;
+
+    const fileId = fileRepo.add(ctx.from.id, fileName, savePath, size);
+    return { file: fileRepo.get(fileId), meta };
+  } catch (err) {
+    await ctx.reply(`❌ 文件处理失败: ${err.message}`);
+    return null;
+  } finally {
+    if (tempPath) await rm(tempPath, { force: true });
+  }
+}
+
+/**
+ * 提取文档文本，AI 直接读取提取结果
+ * PDF 解析可能要几十秒，调用方不要在 grammY 处理更新时等待
+ * @returns {Promise<{ file: object, note: string }>} file 为更新后的记录，note 为提取结果或失败原因
+ */
+async function extractUpload(file) {
+  try {
+    const extracted = await extractText(file.file_path, file.file_name);
+    fileRepo.setText(file.id, extracted.path, extracted.summary, extracted.size);
+    return { file: fileRepo.get(file.id), note: `📝 已提取文本：${extracted.summary}` };
+  } catch (err) {
+    console.error(`[Extract] 提取失败 (${file.file_name}):`, err.message);
+    return { file, note: `⚠️ 无法提取文本：${err.message}` };
+  }
+}
+
+// 上传回执：文件信息和快捷操作按钮，文件附加到用户的下一条消息
+async function replyReceipt(ctx, file, meta, notes) {
+  setAttachedFiles(userChatKey(ctx), file.id);
+  const duration = meta.media.duration ? `, ${formatDuration(meta.media.duration)}` : '';
+  const info = `${file.file_name} (${formatBytes(file.size_bytes)}${duration})`;
+  const title = {
+    image: `✅ 图片已收到\n\n🖼 ${info}`,
+    voice: `✅ 语音已收到\n\n🎤 ${info}`,
+    audio: `✅ 音频已收到\n\n🎵 ${info}`,
+    video: `✅ 视频已收到\n\n🎬 ${info}`,
+    file: `✅ 文件已收到\n\n📄 ${info}`,
+  }[meta.kind];
+  const hint = meta.kind === 'file' ? '你想让我怎么处理？' : '想问什么直接说，或者：';
+  await ctx.reply(
+    [title, ...notes].join('\n') + `\n\n${hint}`,
+    { reply_markup: createFileActionsKb(file) },
+  );
+}
+
+export function registerUploadHandlers(bot, processUserMessage) {
+  // 文件或相册的说明文字作为用户的要求一起发给 AI，带说明文字的消息（captionCtx）回复或转发的内容一起发送
+  const sendWithFiles = async (ctx, files, caption, captionCtx = ctx) => {
+    const { prompt, images } = buildFilePrompt(files, withMessageContext(captionCtx, `用户说: ${caption}`));
+    await processUserMessage(ctx, prompt, { images });
+  };
+
+  // 有说明文字时连同文件发给 AI，否则回复上传回执
+  const finishUpload = async (ctx, file, meta, caption, notes) => {
+    if (caption) {
+      if (notes.length) await ctx.reply(notes.join('\n'));
+      await sendWithFiles(ctx, [file], caption);
+      return;
+    }
+    await replyReceipt(ctx, file, meta, notes);
+  };
+
+  // 文档提取文本在后台进行，不阻塞其他消息
+  const extractDocument = async (ctx, file, meta, caption) => {
+    const status = await ctx.reply('📝 正在提取文本...');
+    const extracted = await extractUpload(file);
+    await ctx.api.deleteMessage(ctx.chat.id, status.message_id).catch(() => {});
+    await finishUpload(ctx, extracted.file, meta, caption, [extracted.note]);
+  };
+
+  // 语音 / 音频转写较慢，在后台进行，不阻塞其他消息
+  const transcribeUpload = async (ctx, file, meta, caption) => {
+    const status = await ctx.reply(meta.kind === 'voice' ? '🎤 正在识别语音...' : '🎵 正在转写音频...');
+    const editStatus = (text, other) => ctx.api.editMessageText(ctx.chat.id, status.message_id, text, other).catch(() => {});
+    let text;
+    try {
+      text = await transcribe(file.file_path);
+    } catch (err) {
+      console.error(`[Media] 转写失败 (${file.file_name}):`, err.message);
+      await ctx.api.deleteMessage(ctx.chat.id, status.message_id).catch(() => {});
+      await replyReceipt(ctx, file, meta, [`⚠️ 无法转写：${err.message}`]);
+      return;
+    }
+    file = await saveTranscript(file, text, meta.media.duration);
+
+    // 语音就是用户要说的话
+    if (meta.kind === 'voice') {
+      await editStatus(`🎤 ${preview(text)}`);
+      const extra = caption ? `\n\n用户补充: ${caption}` : '';
+      await processUserMessage(ctx, withMessageContext(ctx, `[语音消息，以下为语音识别结果，可能有误]\n${text}${extra}`));
+      return;
+    }
+    await ctx.api.deleteMessage(ctx.chat.id, status.message_id).catch(() => {});
+    if (caption) {
+      await sendWithFiles(ctx, [file], caption);
+    } else {
+      await replyReceipt(ctx, file, meta, [`📝 已转写：${file.text_summary}\n\n${preview(text)}`]);
+    }
+  };
+
+  // ==================== 相册 ====================
+
+  // `${chatId}:${media_group_id}` -> { ctx, files, notes, caption, captionCtx, pending, timer }
+  const albums = new Map();
+
+  const flushAlbum = async (albumKey) => {
+    const album = albums.get(albumKey);
+    albums.delete(albumKey);
+    if (!album?.files.length) return;
+    const { ctx, files, notes, caption, captionCtx } = album;
+    try {
+      if (caption) {
+        if (notes.length) await ctx.reply(notes.join('\n'));
+        await sendWithFiles(ctx, files, caption, captionCtx);
+        return;
+      }
+      setAttachedFiles(userChatKey(ctx), files.map(file => file.id));
+      await ctx.reply(
+        `✅ 已收到 ${files.length} 个文件\n\n` +
+        files.map(file => `• ${file.file_name} (${formatBytes(file.size_bytes)})`).join('\n') +
+        (notes.length ? `\n\n${notes.join('\n')}` : '') +
+        '\n\n想让我怎么处理？直接说就行，这些文件会一起发给我。',
+      );
+    } catch (err) {
+      console.error('[Upload] 相册处理失败:', err.message);
+    }
+  };
+
+  const collectAlbumItem = async (ctx) => {
+    const albumKey = `${ctx.chat.id}:${ctx.message.media_group_id}`;
+    let album = albums.get(albumKey);
+    if (!album) {
+      album = { ctx, files: [], notes: [], caption: '', captionCtx: null, pending: 0, timer: null };
+      albums.set(albumKey, album);
+    }
+    clearTimeout(album.timer);
+    album.pending++;
+    const done = () => {
+      album.pending--;
+      if (!album.pending) album.timer = setTimeout(() => flushAlbum(albumKey), ALBUM_WAIT_MS);
+    };
+    // 相册的说明文字只在其中一条消息上
+    if (ctx.message.caption) {
+      album.caption = stripBotMention(ctx, ctx.message.caption);
+      album.captionCtx = ctx;
+    }
+    let extracting = false;
+    try {
+      const upload = await saveUpload(ctx);
+      if (upload) {
+        const index = album.files.push(upload.file) - 1;
+        // 文档在后台提取文本，提取完才算处理完
+        if (canExtractText(upload.file.file_name)) {
+          extracting = true;
+          extractUpload(upload.file)
+            .then(({ file, note }) => {
+              album.files[index] = file;
+              album.notes.push(`${file.file_name}: ${note}`);
+            })
+            .finally(done);
+        }
+      }
+    } finally {
+      if (!extracting) done();
+    }
+  };
+
+  // ==================== 文件上传 ====================
+
+  // 群里只接收 @ 机器人或回复机器人的文件；相册按第一条消息判断，后面的消息跟随第一条
+  bot.on(UPLOAD_UPDATES, async (ctx) => {
+    const inAlbum = albums.has(`${ctx.chat.id}:${ctx.message.media_group_id}`);
+    if (!inAlbum && !isAddressedToBot(ctx)) return;
+    if (!isAllowed(ctx)) return;
+    touchUser(ctx);
+    if (ctx.message.media_group_id) {
+      await collectAlbumItem(ctx);
+      return;
+    }
+
+    const upload = await saveUpload(ctx);
+    if (!upload) return;
+    const { file, meta } = upload;
+    const caption = stripBotMention(ctx, ctx.message.caption);
+
+    if (canExtractText(file.file_name)) {
+      extractDocument(ctx, file, meta, caption).catch(err => console.error('[Extract] 提取异常:', err));
+      return;
+    }
+
+    const duration = meta.media.duration || 0;
+    const autoTranscribe = meta.kind === 'voice' || (meta.kind === 'audio' && duration <= AUTO_TRANSCRIBE_MAX_SECONDS);
+    if (autoTranscribe && isSpeechEnabled()) {
+      transcribeUpload(ctx, file, meta, caption).catch(err => console.error('[Media] 转写异常:', err));
+      return;
+    }
+    const notes = meta.kind === 'voice' ? ['⚠️ 未配置语音识别，暂时听不了语音，请发文字。'] : [];
+    await finishUpload(ctx, file, meta, caption, notes);
+  });
+}
+
+/**
+ * 本地处理的文件快捷操作（音视频转文字、视频截图、提取视频音轨）
+ * 处理可能需要几分钟，调用方不要等待，错误已在内部处理
+ */
+export async function runMediaAction(ctx, action, file, processUserMessage) {
+  const video = /\.(mp4|mov|mkv|webm|avi|m4v)$/i.test(file.file_name);
+  const [statusText, failText] = MEDIA_ACTION_TEXT[action];
+  const status = await ctx.reply(statusText);
+  const editStatus = (text, other) => ctx.api.editMessageText(ctx.chat.id, status.message_id, text, other).catch(() => {});
+  let frames = null;
+  try {
+    if (action === 'transcribe') {
+      const text = video ? await transcribeVideo(file.file_path) : await transcribe(file.file_path);
+      const updated = await saveTranscript(file, text);
+      await editStatus(`📝 已转写：${updated.text_summary}\n\n${preview(text)}`, { reply_markup: createFileActionsKb(updated) });
+      return;
+    }
+
+    if (action === 'audio') {
+      const audio = await saveAudioTrack(ctx.from.id, file);
+      await editStatus(`🎵 已提取音轨：${audio.file_name} (${formatBytes(audio.size_bytes)})`, { reply_markup: createFileActionsKb(audio) });
+      await ctx.replyWithAudio(new InputFile(audio.file_path, audio.file_name));
+      return;
+    }
+
+    frames = await extractFrames(file.file_path);
+    await editStatus(`🎞 已截取 ${frames.length} 个画面`);
+    const request = `以上视频按时间顺序截取了 ${frames.length} 个画面（见图片），请根据画面${file.text_path ? '和转写文字' : ''}描述视频内容`;
+    const { prompt } = buildFilePrompt([file], request);
+    // 截图在任务结束（或排队的消息被移出）后删除
+    await processUserMessage(ctx, prompt, {
+      images: frames.map(path => ({ path, mimeType: 'image/jpeg' })),
+      cleanup: () => removeFrames(frames),
+    });
+  } catch (err) {
+    if (frames) removeFrames(frames);
+    console.error(`[Media] ${action} 失败 (${file.file_name}):`, err.message);
+    await editStatus(`⚠️ ${failText}：${err.message}`);
+  }
+}
@@ -0,0 +1,503 @@
+/**
+ * 工具权限模块
+ * 按角色构建 PI 会话的工具集，权限在代码层面强制执行
+ *
+ * - 管理员: read, bash, edit, write（危险操作按 APPROVAL_POLICY 先请求确认）
+ * - 普通用户: read, grep, find, ls + 只读 bash（拒绝任何修改类命令）+ 只能写入任务发件目录的 write
+ * - 都有 send_file：任务结束后把文件发送给用户
+ */
+
+import { resolve, basename, sep } from 'path';
+import { existsSync, statSync } from 'fs';
+import { tmpdir } from 'os';
+import { codingTools, readOnlyTools, createBashTool, createWriteTool, createEditTool } from '@mariozechner/pi-coding-agent';
+import { Type } from '@mariozechner/pi-ai';
+import { USER_DOCS_DIR, APPROVAL_POLICY, TG_UPLOAD_MAX_BYTES } from './config.js';
+import { isInsideOutbox } from './outbox.js';
+
+// 被拒绝的工具调用结果前缀（runAgent 据此在流式消息中提示）
+export const PERMISSION_DENIED = 'Permission denied';
+export const APPROVAL_REJECTED = 'Rejected by admin';
+
+// 只读 bash 允许的命令（awk、sed 本身是脚本语言，能写文件、执行命令，不在其列）
+const READONLY_COMMANDS = new Set([
+  'cd', 'ls', 'cat', 'head', 'tail', 'less', 'more', 'grep', 'egrep', 'fgrep', 'rg', 'find', 'tree',
+  'wc', 'du', 'df', 'stat', 'file', 'echo', 'printf', 'pwd', 'date', 'cal', 'whoami', 'id',
+  'uname', 'hostname', 'uptime', 'which', 'type', 'realpath', 'dirname', 'basename',
+  'sort', 'uniq', 'cut', 'tr', 'nl', 'column', 'diff', 'cmp', 'comm', 'jq',
+  'md5sum', 'sha1sum', 'sha256sum', 'base64', 'xxd', 'od', 'strings', 'iconv',
+  'curl', 'wget', 'ping', 'dig', 'nslookup', 'free', 'ps', 'true', 'false', 'test', '[',
+  'npx',
+]);
+
+// 只读命令前允许设置的环境变量（其他变量如 LESSOPEN、LD_PRELOAD 可以让命令执行任意程序）
+const SAFE_ENV_VAR = /^(LANG|LANGUAGE|LC_[A-Z]+|TZ|COLUMNS)=/;
+
+// 允许的重定向目标（丢弃输出）
+const SAFE_REDIRECT = /^(?:\d?>>?|&>>?)\s*\/dev\/null$|^\d?>&\d$/;
+
+/**
+ * 按 shell 语法切分命令
+ * 返回各段命令和未加引号的重定向；遇到命令替换直接报错
+ */
+function splitCommand(command) {
+  const segments = [];
+  const redirects = [];
+  let current = '';
+  let quote = null;
+
+  for (let i = 0; i < command.length; i++) {
+    const ch = command[i];
+    const next = command[i + 1];
+
+    if (quote === "'") {
+      if (ch === "'") quote = null;
+      current += ch;
+      continue;
+    }
+    if (ch === '\\') {
+      current += ch + (next ?? '');
+      i++;
+      continue;
+    }
+    // 双引号内仍会执行命令替换
+    if (ch === '`' || (ch === '$' && next === '(')) {
+      throw new Error('不允许使用命令替换');
+    }
+    if (quote === '"') {
+      if (ch === '"') quote = null;
+      current += ch;
+      continue;
+    }
+    if (ch === '"' || ch === "'") {
+      quote = ch;
+      current += ch;
+      continue;
+    }
+    if ((ch === '<' || ch === '>') && next === '(') {
+      throw new Error('不允许使用进程替换');
+    }
+    if (ch === '>') {
+      // 连同前面的文件描述符一起取出，如 2>/dev/null、2>&1
+      const fdMatch = current.match(/(\d|&)$/);
+      let redirect = fdMatch ? fdMatch[1] : '';
+      if (fdMatch) current = current.slice(0, -1);
+      let j = i;
+      while (command[j] === '>' || command[j] === '&') redirect += command[j++];
+      while (command[j] === ' ') j++;
+      let target = '';
+      while (j < command.length && !/[\s;&|]/.test(command[j])) target += command[j++];
+      redirects.push(redirect + target);
+      i = j - 1;
+      continue;
+    }
+    if (ch === ';' || ch === '|' || ch === '&' || ch === '\n') {
+      segments.push(current);
+      current = '';
+      continue;
+    }
+    current += ch;
+  }
+  if (quote) throw new Error('引号未闭合');
+  segments.push(current);
+
+  return { segments: segments.map(s => s.trim()).filter(Boolean), redirects };
+}
+
+/**
+ * 粗略拆分参数（去掉引号）
+ */
+function splitArgs(segment) {
+  const args = segment.match(/"[^"]*"|'[^']*'|\S+/g) || [];
+  return args.map(a => a.replace(/^(["'])(.*)\1$/, '$2'));
+}
+
+// 是否使用了某个短选项（可能和其他短选项合写，如 -so）
+function hasShortOption(args, letters) {
+  return args.some(a => /^-[a-zA-Z0-9]/.test(a) && [...a.slice(1)].some(ch => letters.includes(ch)));
+}
+
+function hasLongOption(args, names) {
+  return args.some(a => names.some(n => a === `--${n}` || a.startsWith(`--${n}=`)));
+}
+
+// 非选项参数（跳过 valueOptions 中选项后面的取值）
+function positionalArgs(args, valueOptions = []) {
+  const result = [];
+  for (let i = 0; i < args.length; i++) {
+    if (valueOptions.includes(args[i])) i++;
+    else if (args[i] === '-' || !args[i].startsWith('-')) result.push(args[i]);
+  }
+  return result;
+}
+
+/**
+ * 检查单段命令是否只读，返回拒绝原因或 null
+ */
+function checkSegment(segment) {
+  let args = splitArgs(segment);
+  // 跳过前置的环境变量赋值 FOO=bar cmd
+  while (args.length && /^[A-Za-z_][A-Za-z0-9_]*=/.test(args[0])) {
+    if (!SAFE_ENV_VAR.test(args[0])) return `不允许设置环境变量 ${args[0].split('=')[0]}`;
+    args = args.slice(1);
+  }
+  if (!args.length) return null;
+
+  const name = args[0];
+  const rest = args.slice(1);
+
+  // 带路径的命令（如 ./cat、/tmp/x/cat）可以是任意程序
+  if (name.includes('/')) return `不允许按路径执行命令 (${name})`;
+  if (!READONLY_COMMANDS.has(name)) return `命令 ${name} 不在只读白名单中`;
+
+  switch (name) {
+    case 'find':
+      if (rest.some(a => /^-(delete|exec|execdir|ok|okdir|fprint|fprint0|fprintf|fls)$/.test(a))) {
+        return 'find 不允许使用 -delete/-exec 等修改类参数';
+      }
+      break;
+    case 'date':
+      if (rest.some(a => /^-[a-zA-Z]*s/.test(a) || a.startsWith('--set'))) return 'date 不允许修改系统时间';
+      break;
+    case 'hostname':
+      // -F/--file 等参数也会修改主机名，只允许查看
+      if (rest.length) return 'hostname 不允许带参数';
+      break;
+    case 'sort':
+      if (hasShortOption(rest, 'o') || hasLongOption(rest, ['output', 'compress-program'])) {
+        return 'sort 不允许写文件 (-o) 或调用其他程序';
+      }
+      break;
+    case 'uniq':
+      // uniq [选项] [输入 [输出]]
+      if (positionalArgs(rest, ['-f', '-s', '-w', '--skip-fields', '--skip-chars', '--check-chars']).length > 1) {
+        return 'uniq 不允许写入输出文件';
+      }
+      break;
+    case 'xxd':
+      // xxd [选项] [输入 [输出]]
+      if (positionalArgs(rest, ['-c', '-cols', '-g', '-groupsize', '-l', '-len', '-s', '-seek', '-o', '-offset', '-n', '-name']).length > 1) {
+        return 'xxd 不允许写入输出文件';
+      }
+      break;
+    case 'tree':
+      // -o 写文件，-R 配合 -H 会在各级目录生成 HTML
+      if (hasShortOption(rest, 'oR')) return 'tree 不允许写文件 (-o/-R)';
+      break;
+    case 'iconv':
+      if (hasShortOption(rest, 'o') || hasLongOption(rest, ['output'])) return 'iconv 不允许写文件 (-o)';
+      break;
+    case 'less':
+      if (hasShortOption(rest, 'oO') || hasLongOption(rest, ['log-file', 'LOG-FILE'])) return 'less 不允许写日志文件';
+      break;
+    case 'file':
+      if (hasShortOption(rest, 'C') || hasLongOption(rest, ['compile'])) return 'file 不允许编译 magic 文件';
+      break;
+    case 'rg':
+      if (hasLongOption(rest, ['pre', 'hostname-bin'])) return 'rg 不允许通过 --pre/--hostname-bin 调用其他程序';
+      break;
+    case 'curl':
+      // -o/-O 保存响应，-T 上传，-c/-D/--trace 等把 cookie、响应头、调试信息写入文件，
+      // -w 的 %output{} 可以写文件，-K 读取的配置中可以包含以上选项
+      if (hasShortOption(rest, 'oOTcDKw') || hasLongOption(rest, [
+        'output', 'output-dir', 'remote-name', 'remote-name-all', 'remote-header-name', 'upload-file', 'cookie-jar', 'write-out',
+        'dump-header', 'trace', 'trace-ascii', 'stderr', 'libcurl', 'etag-save', 'hsts', 'alt-svc', 'config',
+      ])) {
+        return 'curl 不允许写入文件或上传';
+      }
+      break;
+    case 'wget': {
+      // wget 默认会写文件，只允许输出到标准输出；-o/-a 写日志，-b 后台运行写 wget-log，-e 执行配置命令
+      const toStdout = rest.some((a, i) => /^-[a-zA-Z]*O-$/.test(a) || (/^-[a-zA-Z]*O$/.test(a) && rest[i + 1] === '-') || a === '--output-document=-');
+      if (!toStdout) return 'wget 只允许输出到标准输出 (-O -)';
+      const toFile = rest.some((a, i) => (/^-[a-zA-Z]*O./.test(a) && !a.endsWith('O-')) || (/^-[a-zA-Z]*O$/.test(a) && rest[i + 1] !== '-') ||
+        (a.startsWith('--output-document') && a !== '--output-document=-'));
+      const flags = rest.map(a => a.replace(/^(-[a-zA-Z]*)O-?$/, '$1'));
+      if (toFile || hasShortOption(flags, 'oabe') || hasLongOption(rest, [
+        'output-file', 'append-output', 'background', 'execute', 'config', 'save-cookies', 'warc-file', 'rejected-log', 'hsts-file',
+      ])) {
+        return 'wget 只允许输出到标准输出，不允许写文件或日志';
+      }
+      break;
+    }
+    case 'npx':
+      // 仅允许搜索技能
+      if (!(rest[0] === 'skills' && rest[1] === 'find')) return 'npx 仅允许 `npx skills find`';
+      break;
+  }
+  return null;
+}
+
+/**
+ * 检查 bash 命令是否只读，返回拒绝原因或 null
+ */
+export function checkReadOnlyCommand(command) {
+  let parsed;
+  try {
+    parsed = splitCommand(command);
+  } catch (err) {
+    return err.message;
+  }
+  for (const redirect of parsed.redirects) {
+    if (!SAFE_REDIRECT.test(redirect)) return `不允许重定向写入文件 (${redirect})`;
+  }
+  for (const segment of parsed.segments) {
+    const reason = checkSegment(segment);
+    if (reason) return reason;
+  }
+  return null;
+}
+
+// ==================== 危险操作识别 ====================
+
+// 无需确认即可写入的目录
+const SAFE_WRITE_DIRS = [USER_DOCS_DIR, resolve(process.cwd(), 'uploads'), tmpdir()];
+
+// 删除/破坏类命令
+const DESTRUCTIVE_COMMANDS = new Set(['rm', 'rmdir', 'unlink', 'shred', 'dd', 'truncate', 'mkfs', 'reboot', 'shutdown', 'poweroff', 'halt', 'kill', 'pkill', 'killall']);
+
+// 包管理器及其安装/卸载子命令
+const PACKAGE_MANAGERS = {
+  npm: ['install', 'i', 'ci', 'add', 'uninstall', 'remove', 'rm', 'update'],
+  pnpm: ['install', 'i', 'add', 'remove', 'rm', 'update'],
+  yarn: ['install', 'add', 'remove', 'upgrade'],
+  bun: ['install', 'i', 'add', 'remove'],
+  pip: ['install', 'uninstall'],
+  pip3: ['install', 'uninstall'],
+  apt: ['install', 'remove', 'purge', 'upgrade'],
+  'apt-get': ['install', 'remove', 'purge', 'upgrade', 'dist-upgrade'],
+  yum: ['install', 'remove', 'update'],
+  dnf: ['install', 'remove', 'update'],
+  apk: ['add', 'del', 'upgrade'],
+};
+
+function isInsideSafeDir(path, cwd) {
+  const full = resolve(cwd, path);
+  return SAFE_WRITE_DIRS.some(dir => full === dir || full.startsWith(dir + sep));
+}
+
+function pathArgs(args) {
+  return args.filter(a => !a.startsWith('-'));
+}
+
+/**
+ * 检查单段 bash 命令的风险，返回原因或 null
+ */
+function assessSegmentRisk(segment, cwd) {
+  let args = splitArgs(segment);
+  while (args.length && /^[A-Za-z_][A-Za-z0-9_]*=/.test(args[0])) args = args.slice(1);
+  if (args[0] === 'sudo') args = args.slice(1);
+  if (!args.length) return null;
+
+  const name = args[0].split('/').pop();
+  const rest = args.slice(1);
+
+  if (DESTRUCTIVE_COMMANDS.has(name) || name.startsWith('mkfs.')) return `${name}: 删除或破坏性操作`;
+  if (PACKAGE_MANAGERS[name]?.includes(rest[0])) return `${name} ${rest[0]}: 安装或卸载软件包`;
+  if (name === 'npx' && rest[0] === 'skills' && rest[1] === 'add') return 'npx skills add: 安装技能';
+  if (/^python3?$/.test(name) && rest[0] === '-m' && rest[1]?.startsWith('pip') && /install/.test(rest[2])) return 'pip install: 安装软件包';
+  if (name === 'git' && (rest[0] === 'clean' || (rest[0] === 'reset' && rest.includes('--hard')) || (rest[0] === 'push' && rest.some(a => a.startsWith('--force') || a === '-f')))) {
+    return `git ${rest[0]}: 可能丢失代码`;
+  }
+  if (name === 'systemctl' && /^(stop|restart|disable|mask)$/.test(rest[0])) return `systemctl ${rest[0]}: 影响系统服务`;
+  if ((name === 'chmod' || name === 'chown') && rest.some(a => /^-[a-zA-Z]*R/.test(a))) return `${name} -R: 批量修改权限`;
+
+  if (name === 'mv') {
+    const paths = pathArgs(rest);
+    if (paths.length >= 2) {
+      const target = resolve(cwd, paths[paths.length - 1]);
+      let isDir = false;
+      try { isDir = statSync(target).isDirectory(); } catch {}
+      const overwritten = isDir
+        ? paths.slice(0, -1).some(src => existsSync(resolve(target, basename(src))))
+        : existsSync(target);
+      if (overwritten) return 'mv: 会覆盖已存在的文件';
+      if (!isInsideSafeDir(target, cwd)) return `mv: 写入 ${USER_DOCS_DIR} 以外的路径`;
+    }
+  }
+  if (name === 'cp' || name === 'ln' || name === 'install') {
+    const paths = pathArgs(rest);
+    if (paths.length >= 2 && !isInsideSafeDir(paths[paths.length - 1], cwd)) return `${name}: 写入 ${USER_DOCS_DIR} 以外的路径`;
+  }
+  if (name === 'tee' || name === 'touch' || name === 'mkdir') {
+    const outside = pathArgs(rest).find(p => !isInsideSafeDir(p, cwd));
+    if (outside) return `${name}: 写入 ${USER_DOCS_DIR} 以外的路径 (${outside})`;
+  }
+  if (name === 'sed' && rest.some(a => /^-[a-zA-Z]*i/.test(a) || a.startsWith('--in-place'))) {
+    const outside = pathArgs(rest).slice(1).find(p => !isInsideSafeDir(p, cwd));
+    if (outside) return `sed -i: 修改 ${USER_DOCS_DIR} 以外的文件 (${outside})`;
+  }
+  return null;
+}
+
+/**
+ * 评估工具调用是否需要管理员确认，返回原因或 null
+ */
+export function assessRisk(toolName, params, cwd = process.cwd()) {
+  if (APPROVAL_POLICY === 'off') return null;
+  if (APPROVAL_POLICY === 'all') return '审批策略要求确认所有修改操作';
+
+  if (toolName === 'write' || toolName === 'edit') {
+    return isInsideSafeDir(params.path, cwd) ? null : `写入 ${USER_DOCS_DIR} 以外的路径`;
+  }
+  if (toolName !== 'bash') return null;
+
+  let parsed;
+  try {
+    parsed = splitCommand(params.command);
+  } catch (err) {
+    return `${err.message.replace('不允许使用', '包含')}，无法判断命令是否安全`;
+  }
+  for (const redirect of parsed.redirects) {
+    if (SAFE_REDIRECT.test(redirect)) continue;
+    const target = redirect.replace(/^[\d&]?>+&?/, '').replace(/^['"]|['"]$/g, '');
+    if (!target || !isInsideSafeDir(target, cwd)) return `重定向写入 ${USER_DOCS_DIR} 以外的路径 (${target})`;
+  }
+  for (const segment of parsed.segments) {
+    const risk = assessSegmentRisk(segment, cwd);
+    if (risk) return risk;
+  }
+  return null;
+}
+
+/**
+ * 包装工具：执行前评估风险，需要时等待管理员确认
+ * @param {Function} approve - (request, signal) => Promise<{ approved, reason }>
+ */
+function createApprovalTool(inner, approve, cwd) {
+  return {
+    name: inner.name,
+    label: inner.label,
+    description: inner.description,
+    parameters: inner.parameters,
+    async execute(toolCallId, params, signal, onUpdate) {
+      const risk = assessRisk(inner.name, params, cwd);
+      if (risk) {
+        console.log(`[Tools] ⏸ 等待审批: ${inner.name} (${risk})`);
+        const { approved, reason } = await approve({ toolName: inner.name, params, risk }, signal);
+        if (!approved) {
+          console.log(`[Tools] 🚫 审批未通过: ${inner.name} (${reason})`);
+          throw new Error(`${APPROVAL_REJECTED}: ${reason}。不要重试该操作，直接告诉用户未执行。`);
+        }
+      }
+      return inner.execute(toolCallId, params, signal, onUpdate);
+    },
+  };
+}
+
+/**
+ * 创建只读 bash 工具（以自定义工具形式覆盖内置 bash）
+ */
+function createReadOnlyBashTool(cwd) {
+  const inner = createBashTool(cwd);
+  return {
+    name: inner.name,
+    label: inner.label,
+    description: inner.description + ' Read-only: commands that write, delete or modify anything are rejected.',
+    parameters: inner.parameters,
+    async execute(toolCallId, params, signal, onUpdate) {
+      const reason = checkReadOnlyCommand(params.command);
+      if (reason) {
+        console.log(`[Tools] ⛔ 拒绝命令: ${params.command} (${reason})`);
+        throw new Error(`${PERMISSION_DENIED}: ${reason}。当前用户只有只读权限。`);
+      }
+      return inner.execute(toolCallId, params, signal, onUpdate);
+    },
+  };
+}
+
+/**
+ * 创建只能写入当前任务发件目录的 write 工具（普通用户）
+ */
+function createOutboxWriteTool(getOutbox, cwd) {
+  const inner = createWriteTool(cwd);
+  return {
+    name: inner.name,
+    label: inner.label,
+    description: inner.description + ' Only files inside the task outbox directory can be written; they are sent to the user when the task finishes.',
+    parameters: inner.parameters,
+    async execute(toolCallId, params, signal, onUpdate) {
+      const outbox = getOutbox();
+      if (!isInsideOutbox(outbox, resolve(cwd, params.path))) {
+        console.log(`[Tools] ⛔ 拒绝写入: ${params.path}`);
+        throw new Error(`${PERMISSION_DENIED}: 只能写入本次任务的发件目录${outbox ? ` ${outbox.dir}` : ''}。当前用户只有只读权限。`);
+      }
+      return inner.execute(toolCallId, params, signal, onUpdate);
+    },
+  };
+}
+
+/**
+ * 创建 send_file 工具：登记要发送给用户的文件，任务结束后统一发送
+ * 普通用户只能发送文档目录和自己上传目录中的文件
+ */
+function createSendFileTool(getOutbox, admin, cwd) {
+  return {
+    name: 'send_file',
+    label: 'send_file',
+    description: 'Send a file to the user in the Telegram chat. The file is delivered after the task finishes (images as photos, everything else as documents). Files written to the task outbox directory are sent automatically, use this for files stored elsewhere.',
+    parameters: Type.Object({
+      path: Type.String({ description: 'Path of the file to send' }),
+      caption: Type.Optional(Type.String({ description: 'Short caption shown with the file' })),
+    }),
+    async execute(toolCallId, params) {
+      const outbox = getOutbox();
+      if (!outbox) throw new Error('当前没有进行中的任务，无法发送文件');
+      const path = resolve(cwd, params.path);
+      const allowedDirs = [USER_DOCS_DIR, outbox.userDir];
+      if (!admin && !allowedDirs.some(dir => path.startsWith(dir + sep))) {
+        throw new Error(`${PERMISSION_DENIED}: 只能发送 ${USER_DOCS_DIR}、上传目录和发件目录中的文件。`);
+      }
+      let info;
+      try {
+        info = statSync(path);
+      } catch {
+        throw new Error(`文件不存在: ${params.path}`);
+      }
+      if (!info.isFile()) throw new Error(`不是文件: ${params.path}`);
+      if (info.size > TG_UPLOAD_MAX_BYTES) throw new Error('文件超过 50MB，无法通过 Telegram 发送');
+      if (!outbox.files.some(file => file.path === path)) outbox.files.push({ path, caption: params.caption });
+      return {
+        content: [{ type: 'text', text: `已加入发送列表: ${basename(path)}，任务结束后发送给用户。` }],
+        details: {},
+      };
+    },
+  };
+}
+
+/**
+ * 按角色获取会话工具
+ * @param {boolean} admin - 是否管理员
+ * @param {object} options
+ * @param {Function} [options.approve] - 管理员危险操作的审批函数
+ * @param {Function} [options.getOutbox] - 返回当前任务的发件箱（见 outbox.js），没有进行中的任务时为 null
+ * @returns {{ tools: Array, customTools: Array }} createAgentSession 的 tools/customTools 参数
+ */
+export function getSessionTools(admin, { cwd = process.cwd(), approve, getOutbox = () => null } = {}) {
+  const sendFile = createSendFileTool(getOutbox, admin, cwd);
+  if (admin) {
+    if (APPROVAL_POLICY === 'off' || !approve) return { tools: codingTools, customTools: [sendFile] };
+    const guarded = [createBashTool(cwd), createWriteTool(cwd), createEditTool(cwd)];
+    return { tools: codingTools, customTools: [...guarded.map(tool => createApprovalTool(tool, approve, cwd)), sendFile] };
+  }
+  return { tools: readOnlyTools, customTools: [createReadOnlyBashTool(cwd), createOutboxWriteTool(getOutbox, cwd), sendFile] };
+}
+
+/**
+ * 判断工具结果是否为权限拒绝，返回拒绝说明或 null
+ */
+export function getPermissionDenial(event) {
+  if (!event.isError) return null;
+  const text = event.result?.content?.find(c => c.type === 'text')?.text || '';
+  return text.startsWith(PERMISSION_DENIED) ? text : null;
+}
+
+/**
+ * 从 tool_execution_end 事件中识别审批未通过的调用
+ * @returns {string|null} 未通过原因
+ */
+export function getApprovalRejection(event) {
+  if (!event.isError) return null;
+  const text = event.result?.content?.find(c => c.type === 'text')?.text || '';
+  return text.startsWith(APPROVAL_REJECTED) ? text.slice(APPROVAL_REJECTED.length + 2).split('。')[0] : null;
+}
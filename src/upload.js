@@ -0,0 +1,116 @@
+/**
+ * 用户上传文件模块
+ * 按 Telegram 提供的大小预先检查，流式下载到磁盘，按文件内容识别类型并过滤
+ */
+
+import { extname, isAbsolute } from 'path';
+import { createReadStream, createWriteStream } from 'fs';
+import { open, rm } from 'fs/promises';
+import { Readable, Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { TG_API_ROOT, UPLOAD_ALLOWED_TYPES, UPLOAD_DENIED_TYPES } from './config.js';
+
+const SNIFF_BYTES = 512;
+
+// 文件头特征 -> MIME 类型（offset 为特征所在位置）
+const SIGNATURES = [
+  { bytes: [0x25, 0x50, 0x44, 0x46], mime: 'application/pdf' },
+  { bytes: [0x89, 0x50, 0x4e, 0x47], mime: 'image/png' },
+  { bytes: [0xff, 0xd8, 0xff], mime: 'image/jpeg' },
+  { bytes: [0x47, 0x49, 0x46, 0x38], mime: 'image/gif' },
+  { bytes: [0x57, 0x45, 0x42, 0x50], offset: 8, mime: 'image/webp' },
+  { bytes: [0x50, 0x4b, 0x03, 0x04], mime: 'application/zip' },
+  { bytes: [0x1f, 0x8b], mime: 'application/gzip' },
+  { bytes: [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c], mime: 'application/x-7z-compressed' },
+  { bytes: [0x52, 0x61, 0x72, 0x21], mime: 'application/vnd.rar' },
+  { bytes: [0xd0, 0xcf, 0x11, 0xe0], mime: 'application/x-ole-storage' },
+  { bytes: [0x4f, 0x67, 0x67, 0x53], mime: 'audio/ogg' },
+  { bytes: [0x49, 0x44, 0x33], mime: 'audio/mpeg' },
+  { bytes: [0x66, 0x74, 0x79, 0x70], offset: 4, mime: 'video/mp4' },
+  { bytes: [0x4d, 0x5a], mime: 'application/x-msdownload' },
+  { bytes: [0x7f, 0x45, 0x4c, 0x46], mime: 'application/x-executable' },
+  { bytes: [0xcf, 0xfa, 0xed, 0xfe], mime: 'application/x-mach-binary' },
+  { bytes: [0xce, 0xfa, 0xed, 0xfe], mime: 'application/x-mach-binary' },
+];
+
+// zip / OLE 容器按扩展名细分为 Office 文档
+const CONTAINER_TYPES = {
+  'application/zip': {
+    '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  },
+  'application/x-ole-storage': {
+    '.doc': 'application/msword',
+    '.xls': 'application/vnd.ms-excel',
+    '.ppt': 'application/vnd.ms-powerpoint',
+  },
+};
+
+/**
+ * 按文件内容识别 MIME 类型，无法识别时不含 0 字节的按文本处理
+ * @param {Buffer} head - 文件开头的字节
+ */
+export function sniffMimeType(head, fileName = '') {
+  const sig = SIGNATURES.find(({ bytes, offset = 0 }) =>
+    head.length >= offset + bytes.length && bytes.every((b, i) => head[offset + i] === b));
+  if (sig) return CONTAINER_TYPES[sig.mime]?.[extname(fileName).toLowerCase()] || sig.mime;
+  return head.includes(0) ? 'application/octet-stream' : 'text/plain';
+}
+
+export async function sniffFile(path, fileName) {
+  const fh = await open(path, 'r');
+  try {
+    const { buffer, bytesRead } = await fh.read(Buffer.alloc(SNIFF_BYTES), 0, SNIFF_BYTES, 0);
+    return sniffMimeType(buffer.subarray(0, bytesRead), fileName);
+  } finally {
+    await fh.close();
+  }
+}
+
+function matchType(patterns, mimeType) {
+  return patterns.some(p => p === mimeType || (p.endsWith('/*') && mimeType.startsWith(p.slice(0, -1))));
+}
+
+// 是否允许上传该类型（黑名单优先）
+export function isTypeAllowed(mimeType) {
+  mimeType = mimeType.toLowerCase();
+  if (matchType(UPLOAD_DENIED_TYPES, mimeType)) return false;
+  return !UPLOAD_ALLOWED_TYPES.length || matchType(UPLOAD_ALLOWED_TYPES, mimeType);
+}
+
+/**
+ * 流式下载 Telegram 文件到 destPath，超过 maxBytes 时中止并删除
+ * 自建 Bot API 服务器以 --local 模式运行时 file_path 为服务器上的本地路径，直接复制
+ * @returns {Promise<number>} 文件大小
+ */
+export async function downloadTelegramFile(filePath, destPath, maxBytes) {
+  let source;
+  if (isAbsolute(filePath)) {
+    source = createReadStream(filePath);
+  } else {
+    const root = TG_API_ROOT || 'https://api.telegram.org';
+    const resp = await fetch(`${root}/file/bot${process.env.BOT_TOKEN}/${filePath}`);
+    if (!resp.ok || !resp.body) throw new Error(`下载失败 (HTTP ${resp.status})`);
+    source = Readable.fromWeb(resp.body);
+  }
+
+  let size = 0;
+  const limiter = new Transform({
+    transform(chunk, encoding, callback) {
+      size += chunk.length;
+      if (size > maxBytes) {
+        callback(Object.assign(new Error('文件超过大小限制'), { code: 'FILE_TOO_LARGE' }));
+      } else {
+        callback(null, chunk);
+      }
+    },
+  });
+  try {
+    await pipeline(source, limiter, createWriteStream(destPath));
+  } catch (err) {
+    await rm(destPath, { force: true });
+    throw err;
+  }
+  return size;
+}
@@ -3,36 +3,23 @@
  */
 
 import { TG_MAX_LEN } from './config.js';
+import { markdownToHtml, splitMarkdown } from './markdown.js';
 
 // MarkdownV2 特殊字符转义
 export function escapeMarkdownV2(text) {
   return text.replace(/([_*\[\]()~`>#+\-=|{}.!\\])/g, '\\$1');
 }
 
-// 将标准 Markdown 转换为 Telegram 支持的格式
-export function convertToTelegramMarkdown(text) {
-  if (!text) return text;
-  
-  let result = text;
-  
-  // 转换标题：## 标题 → *标题*（粗体）
-  // 处理 ### 三级标题
-  result = result.replace(/^###\s+(.+)$/gm, '*$1*');
-  // 处理 ## 二级标题
-  result = result.replace(/^##\s+(.+)$/gm, '*$1*');
-  // 处理 # 一级标题
-  result = result.replace(/^#\s+(.+)$/gm, '*$1*');
-  
-  // 转换粗体：**文本** → *文本*
-  result = result.replace(/\*\*([^*]+)\*\*/g, '*$1*');
-  
-  // 转换斜体：__文本__ → _文本_（Telegram 使用单下划线）
-  // 注意：标准 Markdown 的 *文本* 也是斜体，但 Telegram 用 _文本_
-  
-  // 保留代码块（```）和行内代码（`）
-  // Telegram 原生支持这些
-  
-  return result;
+// HTML 特殊字符转义
+export function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// 思考过程：可折叠引用块（HTML），超出 maxLen 时只保留结尾部分
+export function formatThinkingHtml(thinking, maxLen = 1500) {
+  let text = thinking.trim();
+  if (text.length > maxLen) text = '...' + text.slice(-maxLen);
+  return `<blockquote expandable>💭 思考过程\n${escapeHtml(text)}</blockquote>`;
 }
 
 // 格式化字节数
@@ -42,6 +29,20 @@ export function formatBytes(bytes) {
   return (bytes / 1024 / 1024).toFixed(1) + 'MB';
 }
 
+// 格式化 token 数
+export function formatTokens(tokens) {
+  if (tokens < 1000) return String(tokens);
+  if (tokens < 1000 * 1000) return (tokens / 1000).toFixed(1) + 'K';
+  return (tokens / 1000 / 1000).toFixed(2) + 'M';
+}
+
+// 格式化费用（美元）
+export function formatCost(cost) {
+  if (!cost) return '$0';
+  if (cost < 0.01) return '$' + cost.toFixed(4);
+  return '$' + cost.toFixed(2);
+}
+
 // 工具名称映射
 export const TOOL_NAMES = {
   bash: '执行命令',
@@ -53,41 +54,26 @@ export const TOOL_NAMES = {
   ls: '列目录'
 };
 
-// 分段发送长文本（支持 Markdown）
+// 分段发送长文本（Markdown 转为 Telegram HTML，按代码块边界分段），返回发出的消息 ID
 export async function sendLongText(ctx, text, keyboard) {
   if (!text || text.trim().length === 0) {
     text = '✅ 完成（无文字输出）';
   }
   
-  // 转换为 Telegram 格式
-  const telegramText = convertToTelegramMarkdown(text);
-  
-  const opts = keyboard ? { reply_markup: keyboard } : {};
-  if (telegramText.length <= TG_MAX_LEN) {
-    try {
-      await ctx.reply(telegramText, { ...opts, parse_mode: 'Markdown' });
-    } catch {
-      await ctx.reply(text, opts);
-    }
-    return;
-  }
-  const chunks = [];
-  let remaining = telegramText;
-  while (remaining.length > 0) {
-    if (remaining.length <= TG_MAX_LEN) { chunks.push(remaining); break; }
-    let cut = remaining.lastIndexOf('\n', TG_MAX_LEN);
-    if (cut < TG_MAX_LEN / 2) cut = TG_MAX_LEN;
-    chunks.push(remaining.slice(0, cut));
-    remaining = remaining.slice(cut);
-  }
+  // 预留分段序号的位置
+  const chunks = splitMarkdown(text, TG_MAX_LEN - 20).map(chunk => chunk.text);
+  const messageIds = [];
   for (let i = 0; i < chunks.length; i++) {
     const isLast = i === chunks.length - 1;
     const prefix = chunks.length > 1 ? `📄 (${i + 1}/${chunks.length})\n\n` : '';
     const sendOpts = isLast && keyboard ? { reply_markup: keyboard } : {};
+    let msg;
     try {
-      await ctx.reply(prefix + chunks[i], { ...sendOpts, parse_mode: 'Markdown' });
+      msg = await ctx.reply(prefix + markdownToHtml(chunks[i]), { ...sendOpts, parse_mode: 'HTML' });
     } catch {
-      await ctx.reply(prefix + chunks[i], sendOpts);
+      msg = await ctx.reply(prefix + chunks[i], sendOpts);
     }
+    messageIds.push(msg.message_id);
   }
+  return messageIds;
 }
@@ -0,0 +1,70 @@
+/**
+ * 图片输入模块
+ * 模型支持图片输入时直接把图片作为 image 内容发送，否则用本地 OCR 提取文字
+ */
+
+import { basename } from 'path';
+import { readFile } from 'fs/promises';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { OCR_BIN, OCR_LANGS } from './config.js';
+
+const execFileAsync = promisify(execFile);
+
+const OCR_TIMEOUT_MS = 60 * 1000;
+const OCR_MAX_CHARS = 8000;
+
+// 可以作为 image 内容发送的格式
+export const IMAGE_MIME_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+// 模型能力来自模型定义（models.json / PI 内置模型的 input 字段）
+export function supportsImages(model) {
+  return !!model?.input?.includes('image');
+}
+
+/**
+ * 用 tesseract 识别图片中的文字
+ * @returns {Promise<string>} 识别出的文字（可能为空）
+ */
+export async function runOcr(path) {
+  const { stdout } = await execFileAsync(OCR_BIN, [path, 'stdout', '-l', OCR_LANGS], {
+    timeout: OCR_TIMEOUT_MS,
+    maxBuffer: 4 * 1024 * 1024,
+  });
+  return stdout.trim();
+}
+
+/**
+ * 为模型准备图片输入
+ * @param {object} model - 当前会话的模型
+ * @param {Array<{ path: string, mimeType: string }>} files - 已保存的图片
+ * @returns {Promise<{ images: Array, note: string }>} images 作为 prompt 的图片内容，note 追加到文本中
+ */
+export async function prepareImageInput(model, files) {
+  if (!files?.length) return { images: [], note: '' };
+
+  if (supportsImages(model)) {
+    const images = await Promise.all(files.map(async (file) => ({
+      type: 'image',
+      data: (await readFile(file.path)).toString('base64'),
+      mimeType: file.mimeType,
+    })));
+    return { images, note: '' };
+  }
+
+  const notes = [];
+  for (const file of files) {
+    const name = basename(file.path);
+    try {
+      const text = await runOcr(file.path);
+      notes.push(text
+        ? `[图片 ${name} 的 OCR 文字（当前模型不支持看图，以下为识别结果，可能有误）]\n${text.slice(0, OCR_MAX_CHARS)}`
+        : `[图片 ${name} 中没有识别到文字，当前模型不支持看图]`);
+    } catch (err) {
+      console.error(`[Vision] OCR 失败 (${name}):`, err.message);
+      const reason = err.code === 'ENOENT' ? `未安装 ${OCR_BIN}` : 'OCR 执行失败';
+      notes.push(`[图片 ${name} 无法识别：当前模型不支持看图，且${reason}。请告诉用户切换到支持图片的模型]`);
+    }
+  }
+  return { images: [], note: notes.join('\n\n') };
+}
@@ -0,0 +1,147 @@
+/**
+ * 文档文本提取（zip 解析和 Office 文档）
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile, readFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { deflateRawSync } from 'zlib';
+import { extractText, readZip, readEntry } from '../src/extract.js';
+
+// 生成 zip（不校验 CRC，readZip 也不检查）
+function buildZip(files, { store = false } = {}) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const [name, content] of Object.entries(files)) {
+    const nameBuf = Buffer.from(name);
+    const raw = Buffer.from(content);
+    const data = store ? raw : deflateRawSync(raw);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(store ? 0 : 8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(nameBuf.length, 26);
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(store ? 0 : 8, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(raw.length, 24);
+    central.writeUInt16LE(nameBuf.length, 28);
+    central.writeUInt32LE(offset, 42);
+    locals.push(local, nameBuf, data);
+    centrals.push(central, nameBuf);
+    offset += local.length + nameBuf.length + data.length;
+  }
+  const centralDir = Buffer.concat(centrals);
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(Object.keys(files).length, 8);
+  eocd.writeUInt16LE(Object.keys(files).length, 10);
+  eocd.writeUInt32LE(centralDir.length, 12);
+  eocd.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, centralDir, eocd]);
+}
+
+function xlsx(sheetXml, sharedStrings = []) {
+  return buildZip({
+    'xl/workbook.xml': '<workbook><sheets><sheet name="数据" sheetId="1" r:id="rId1"/></sheets></workbook>',
+    'xl/_rels/workbook.xml.rels': '<Relationships><Relationship Id="rId1" Target="worksheets/sheet1.xml"/></Relationships>',
+    'xl/sharedStrings.xml': `<sst>${sharedStrings.map(s => `<si><t>${s}</t></si>`).join('')}</sst>`,
+    'xl/worksheets/sheet1.xml': `<worksheet><sheetData>${sheetXml}</sheetData></worksheet>`,
+  });
+}
+
+let dir;
+before(async () => { dir = await mkdtemp(join(tmpdir(), 'botk-extract-test-')); });
+after(async () => { await rm(dir, { recursive: true, force: true }); });
+
+async function extract(name, content) {
+  const path = join(dir, name);
+  await writeFile(path, content);
+  const result = await extractText(path, name);
+  return { ...result, text: await readFile(result.path, 'utf-8') };
+}
+
+test('readZip: 读取压缩和未压缩的文件', async () => {
+  const path = join(dir, 'a.zip');
+  await writeFile(path, buildZip({ 'a.txt': 'hello', 'dir/b.xml': '<b>世界</b>' }));
+  const entries = await readZip(path);
+  assert.deepEqual([...entries.keys()], ['a.txt', 'dir/b.xml']);
+  assert.equal(await readEntry(entries, 'dir/b.xml'), '<b>世界</b>');
+  assert.equal(await readEntry(entries, 'missing'), '');
+
+  await writeFile(path, buildZip({ 'a.txt': 'stored' }, { store: true }));
+  assert.equal(await readEntry(await readZip(path), 'a.txt'), 'stored');
+});
+
+test('Word: 标题、列表和表格', async () => {
+  const body = [
+    '<w:p><w:pPr><w:pStyle w:val="Heading1"/></w:pPr><w:r><w:t>标题</w:t></w:r></w:p>',
+    '<w:p><w:pPr><w:numPr><w:ilvl w:val="0"/><w:numId w:val="1"/></w:numPr></w:pPr><w:r><w:t>第一项</w:t></w:r></w:p>',
+    '<w:p><w:r><w:t>A &amp; B</w:t></w:r></w:p>',
+    '<w:tbl><w:tr><w:tc><w:p><w:r><w:t>名称</w:t></w:r></w:p></w:tc><w:tc><w:p><w:r><w:t>数量</w:t></w:r></w:p></w:tc></w:tr>',
+    '<w:tr><w:tc><w:p><w:r><w:t>苹果</w:t></w:r></w:p></w:tc><w:tc><w:p><w:r><w:t>3</w:t></w:r></w:p></w:tc></w:tr></w:tbl>',
+  ].join('');
+  const { text, summary } = await extract('a.docx', buildZip({ 'word/document.xml': `<w:document><w:body>${body}</w:body></w:document>` }));
+  assert.match(text, /^# 标题$/m);
+  assert.match(text, /^- 第一项$/m);
+  assert.match(text, /^A & B$/m);
+  assert.match(text, /^\| 名称 \| 数量 \|$/m);
+  assert.match(text, /^\| 苹果 \| 3 \|$/m);
+  assert.match(summary, /1 个表格/);
+});
+
+test('Excel: 共享字符串、内联字符串、布尔值和空列', async () => {
+  const sheet = '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="C1" t="inlineStr"><is><t>内联</t></is></c></row>'
+    + '<row r="2"><c r="A2" t="b"><v>1</v></c><c r="B2"><v>42</v></c></row>';
+  const { text, summary } = await extract('a.xlsx', xlsx(sheet, ['共享']));
+  assert.match(text, /^\| 共享 \|  \| 内联 \|$/m);
+  assert.match(text, /^\| TRUE \| 42 \|  \|$/m);
+  assert.match(summary, /数据（2 行 × 3 列）/);
+});
+
+test('Excel: 超出列数上限的单元格不提取', async () => {
+  const { text } = await extract('wide.xlsx', xlsx('<row r="1"><c r="A1"><v>1</v></c><c r="XFD1"><v>2</v></c></row>'));
+  assert.ok(text.length < 5000);
+  assert.match(text, /已截断/);
+});
+
+test('Excel: 行数很多的表格', async () => {
+  const rows = Array.from({ length: 130000 }, (_, i) => `<row r="${i + 1}"><c r="A${i + 1}"><v>${i}</v></c></row>`).join('');
+  const { summary } = await extract('long.xlsx', xlsx(rows));
+  assert.match(summary, /130000 行 × 1 列/);
+});
+
+test('Excel: 达到字数上限后停止解析', async () => {
+  const value = 'x'.repeat(50);
+  const rows = Array.from({ length: 60000 }, (_, i) => `<row r="${i + 1}"><c r="A${i + 1}"><v>${value}</v></c></row>`).join('');
+  const { text, summary } = await extract('big.xlsx', xlsx(rows));
+  const parsedRows = Number(summary.match(/（(\d+) 行/)[1]);
+  assert.ok(parsedRows < 60000);
+  assert.match(summary, /已截断/);
+  assert.ok(text.length < 2.1 * 1000 * 1000);
+});
+
+test('PowerPoint: 按页提取', async () => {
+  const { text, summary } = await extract('a.pptx', buildZip({
+    'ppt/slides/slide2.xml': '<p:sld><a:p><a:r><a:t>第二页</a:t></a:r></a:p></p:sld>',
+    'ppt/slides/slide1.xml': '<p:sld><a:p><a:r><a:t>第一页</a:t></a:r></a:p></p:sld>',
+  }));
+  assert.ok(text.indexOf('第一页') < text.indexOf('第二页'));
+  assert.equal(summary, 'PowerPoint 2 页');
+});
+
+test('损坏的文件和解压后过大的文件', async () => {
+  await assert.rejects(extract('bad.docx', Buffer.from('not a zip at all, just some text padding')), /已损坏/);
+  const eocdOnly = Buffer.alloc(22);
+  eocdOnly.writeUInt32LE(0x06054b50, 0);
+  eocdOnly.writeUInt16LE(5, 10);
+  eocdOnly.writeUInt32LE(0xffff, 16);
+  await assert.rejects(extract('broken.docx', eocdOnly), /已损坏/);
+  const bomb = buildZip({ 'word/document.xml': '<w:p>' + 'a'.repeat(20 * 1024 * 1024) + '</w:p>' });
+  await assert.rejects(extract('bomb.docx', bomb), /解压后过大/);
+});
@@ -0,0 +1,95 @@
+/**
+ * Markdown 转换和长文本分段
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { markdownToHtml, splitMarkdown } from '../src/markdown.js';
+
+const MAX_LEN = 3900;
+
+// 按 runAgent 中 rollover 的方式把流式文本逐段定稿，返回各段的 HTML
+function rolloverChunks(text, maxLen = MAX_LEN) {
+  const pages = [];
+  let start = 0;
+  let prefix = '';
+  for (;;) {
+    const rest = prefix + text.slice(start);
+    const chunks = splitMarkdown(rest, maxLen);
+    if (markdownToHtml(rest).length <= maxLen || chunks.length < 2) {
+      pages.push(markdownToHtml(rest));
+      return pages;
+    }
+    const [chunk] = chunks;
+    const advance = chunk.end - prefix.length;
+    assert.ok(advance > 0, `分段没有前进（位置 ${start}）`);
+    pages.push(markdownToHtml(chunk.text));
+    start += advance;
+    prefix = chunk.fence ? chunk.fence + '\n' : '';
+  }
+}
+
+test('markdownToHtml: 行内格式，单词中间的下划线不当作斜体', () => {
+  assert.equal(markdownToHtml('**粗** *斜* ~~删~~ snake_case_name a_b'), '<b>粗</b> <i>斜</i> <s>删</s> snake_case_name a_b');
+  assert.equal(markdownToHtml('a & b <c>'), 'a &amp; b &lt;c&gt;');
+});
+
+test('markdownToHtml: 行内代码和链接', () => {
+  assert.equal(markdownToHtml('`x<y` 和 `**不加粗**`'), '<code>x&lt;y</code> 和 <code>**不加粗**</code>');
+  assert.equal(markdownToHtml('[链接](https://a.com/?a=1&b=2)'), '<a href="https://a.com/?a=1&amp;b=2">链接</a>');
+});
+
+test('markdownToHtml: 标题、列表和引用', () => {
+  assert.equal(markdownToHtml('# 标题\n- 项目'), '<b>标题</b>\n• 项目');
+  assert.equal(markdownToHtml('> 引用 **b**'), '<blockquote>引用 <b>b</b></blockquote>');
+});
+
+test('markdownToHtml: 代码块（包括流式输出中还没闭合的）', () => {
+  assert.equal(markdownToHtml('```js\nconst a = 1 < 2;\n```'), '<pre><code class="language-js">const a = 1 &lt; 2;</code></pre>');
+  assert.match(markdownToHtml('```js\nconst a = 1;\n'), /^<pre><code class="language-js">const a = 1;\n?<\/code><\/pre>$/);
+});
+
+test('markdownToHtml: 表格按列对齐显示为等宽文本', () => {
+  assert.equal(markdownToHtml('| a | b |\n|---|---|\n| 1 | 22 |'), '<pre><code>a │ b\n──┼───\n1 │ 22</code></pre>');
+});
+
+test('markdownToHtml: 行数很多的表格', () => {
+  const text = '| a | b |\n|---|---|\n' + '| 1 | 2 |\n'.repeat(200000);
+  assert.ok(markdownToHtml(text).startsWith('<pre><code>a │ b\n'));
+});
+
+test('splitMarkdown: 每段转换后的 HTML 不超过上限', () => {
+  const text = Array.from({ length: 300 }, (_, i) => `第 ${i} 行 **粗体** 和 \`code\``).join('\n');
+  const chunks = splitMarkdown(text, 1000);
+  assert.ok(chunks.length > 1);
+  for (const chunk of chunks) assert.ok(markdownToHtml(chunk.text).length <= 1000);
+  assert.equal(chunks.at(-1).end, text.length);
+});
+
+test('splitMarkdown: 在代码块中间切分时闭合并在下一段重新打开', () => {
+  const text = '说明\n\n```js\n' + Array.from({ length: 400 }, (_, i) => `const a${i} = ${i};`).join('\n') + '\n```\n结束';
+  const chunks = splitMarkdown(text, 2000);
+  assert.ok(chunks.length > 1);
+  assert.equal(chunks[0].fence, '```js');
+  assert.ok(chunks[0].text.endsWith('```'));
+  assert.ok(chunks[1].text.startsWith('```js\n'));
+  for (const chunk of chunks) assert.ok(markdownToHtml(chunk.text).length <= 2000);
+});
+
+test('splitMarkdown: 转义后变长的单行按 HTML 长度切开', () => {
+  const line = '<div class="a"><span>x</span></div>'.repeat(80);
+  const chunks = splitMarkdown('Here:\n\n```html\n' + line + '\n```', MAX_LEN);
+  for (const chunk of chunks) assert.ok(markdownToHtml(chunk.text).length <= MAX_LEN);
+});
+
+test('rollover: 代码块中转义后变长的内容每段都会前进', () => {
+  const text = 'Here:\n\n```html\n' + '<div class="a"><span>x</span></div>'.repeat(80) + '\n```';
+  const pages = rolloverChunks(text);
+  assert.ok(pages.length > 1 && pages.length < 5);
+  for (const page of pages) assert.ok(page.length <= MAX_LEN);
+});
+
+test('rollover: 超长的单行普通文本', () => {
+  const pages = rolloverChunks('a & b < c '.repeat(2000));
+  for (const page of pages) assert.ok(page.length <= MAX_LEN);
+});
@@ -0,0 +1,56 @@
+/**
+ * 配额参数解析和统计周期
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseAmount, parseQuotaArgs, periodStart } from '../src/quota.js';
+
+test('parseAmount: 单位后缀和默认单位', () => {
+  assert.equal(parseAmount('50', {}), 50);
+  assert.equal(parseAmount('2M', { k: 1e3, m: 1e6 }), 2e6);
+  assert.equal(parseAmount('1.5k', { k: 1e3, m: 1e6 }), 1500);
+  assert.equal(parseAmount('10', { s: 1, m: 60 }, false, 60), 600);
+  assert.equal(parseAmount('90s', { s: 1, m: 60 }, false, 60), 90);
+  assert.equal(parseAmount('0.25', {}, true), 0.25);
+  assert.equal(parseAmount('0.4', {}), 0);
+});
+
+test('parseAmount: 无效的值返回 NaN', () => {
+  for (const value of ['', 'abc', '-5', '5x', '1e3', '5 m']) {
+    assert.ok(Number.isNaN(parseAmount(value, { m: 1e6 })), value);
+  }
+});
+
+test('parseQuotaArgs: 解析各配额项', () => {
+  const { changes, error } = parseQuotaArgs(['tasks=50', 'tokens=2M', 'cost=$5', 'duration=10m', 'storage=100MB'], false);
+  assert.equal(error, null);
+  assert.deepEqual(changes, { tasks: 50, tokens: 2e6, cost: 5, duration: 600, storage: 100 * 1024 ** 2 });
+});
+
+test('parseQuotaArgs: none 和 default', () => {
+  assert.deepEqual(parseQuotaArgs(['tasks=none', 'cost=default'], false), { changes: { tasks: 0, cost: null }, error: null });
+  // storage 只能按用户设置，不能设为不限或恢复默认
+  assert.ok(parseQuotaArgs(['storage=none'], false).error);
+  assert.ok(parseQuotaArgs(['storage=default'], false).error);
+  // 默认配额本身不能设为 default，也没有 storage
+  assert.ok(parseQuotaArgs(['tasks=default'], true).error);
+  assert.ok(parseQuotaArgs(['storage=1GB'], true).error);
+});
+
+test('parseQuotaArgs: 无法识别的参数', () => {
+  assert.ok(parseQuotaArgs(['foo=1'], false).error);
+  assert.ok(parseQuotaArgs(['tasks'], false).error);
+  assert.ok(parseQuotaArgs(['tasks=abc'], false).error);
+});
+
+test('periodStart: 按北京时间划分天和月', () => {
+  // 北京时间 2026-03-01 07:30（UTC 2026-02-28 23:30）
+  const at = Date.UTC(2026, 1, 28, 23, 30);
+  assert.equal(periodStart('day', at), Date.UTC(2026, 1, 28, 16));
+  assert.equal(periodStart('month', at), Date.UTC(2026, 1, 28, 16));
+  // 北京时间 2026-03-01 00:00 前一刻仍属于 2 月
+  const before = Date.UTC(2026, 1, 28, 15, 59);
+  assert.equal(periodStart('day', before), Date.UTC(2026, 1, 27, 16));
+  assert.equal(periodStart('month', before), Date.UTC(2026, 0, 31, 16));
+});
@@ -0,0 +1,76 @@
+/**
+ * 全局并发调度（排队顺序、管理员优先、按服务商限流）
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// 配置在导入时读取
+process.env.MAX_CONCURRENT_TASKS = '2';
+process.env.PROVIDER_CONCURRENCY = 'slow=1';
+const { acquireSlot, getSchedulerStats } = await import('../src/scheduler.js');
+
+const tick = () => new Promise(r => setImmediate(r));
+
+// 申请名额并记录放行顺序
+function acquire(order, name, options) {
+  return acquireSlot(options).then(release => {
+    order.push(name);
+    return release;
+  });
+}
+
+test('名额用完后按顺序排队，管理员排在普通用户前面', async () => {
+  const order = [];
+  const first = await acquire(order, 'a', {});
+  const second = await acquire(order, 'b', {});
+  const positions = [];
+  const waiting = [
+    acquire(order, 'c', { onPosition: p => positions.push(p) }),
+    acquire(order, 'd', {}),
+    acquire(order, 'admin', { admin: true }),
+  ];
+  await tick();
+  assert.deepEqual(getSchedulerStats(), { running: 2, waiting: 3, limit: 2 });
+  assert.deepEqual(positions, [1, 2]);
+
+  first();
+  first(); // 重复释放不影响计数
+  await tick();
+  assert.deepEqual(order, ['a', 'b', 'admin']);
+  assert.deepEqual(positions, [1, 2, 1]);
+
+  second();
+  await tick();
+  assert.deepEqual(order, ['a', 'b', 'admin', 'c']);
+  for (const release of await Promise.all([waiting[0], waiting[2]])) release();
+  await tick();
+  (await waiting[1])();
+  assert.deepEqual(order, ['a', 'b', 'admin', 'c', 'd']);
+  assert.deepEqual(getSchedulerStats(), { running: 0, waiting: 0, limit: 2 });
+});
+
+test('服务商满了不挡住排在后面的其他服务商任务', async () => {
+  const order = [];
+  const slow = await acquire(order, 'slow1', { provider: 'slow' });
+  const waiting = [acquire(order, 'slow2', { provider: 'slow' }), acquire(order, 'fast', { provider: 'fast' })];
+  await tick();
+  assert.deepEqual(order, ['slow1', 'fast']);
+
+  slow();
+  await tick();
+  assert.deepEqual(order, ['slow1', 'fast', 'slow2']);
+  for (const release of await Promise.all(waiting)) release();
+});
+
+test('取消排队中的任务', async () => {
+  const releases = [await acquireSlot(), await acquireSlot()];
+  const controller = new AbortController();
+  const waiting = acquireSlot({ signal: controller.signal });
+  await tick();
+  controller.abort();
+  await assert.rejects(waiting, { name: 'AbortError' });
+  assert.equal(getSchedulerStats().waiting, 0);
+  await assert.rejects(acquireSlot({ signal: controller.signal }), { name: 'AbortError' });
+  releases.forEach(release => release());
+});
@@ -0,0 +1,151 @@
+/**
+ * 只读 bash 命令检查和危险操作识别
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { checkReadOnlyCommand, assessRisk } from '../src/tools.js';
+
+// 写文件或执行其他程序的命令，必须被拒绝
+const REJECTED = [
+  'sort -o out.txt in.txt',
+  'sort -ro out.txt in.txt',
+  'sort --output=out.txt in.txt',
+  'sort --compress-program=sh in.txt',
+  'uniq in.txt out.txt',
+  'uniq -c in.txt out.txt',
+  'tree -o out.txt',
+  'tree -R -H . .',
+  'iconv -f gbk -t utf-8 -o out.txt in.txt',
+  'iconv --output=out.txt in.txt',
+  'xxd in.bin out.txt',
+  'xxd -r in.txt out.bin',
+  'curl -o out.html https://example.com',
+  'curl -sSO https://example.com/a',
+  'curl -c cookies.txt https://example.com',
+  'curl -D headers.txt https://example.com',
+  'curl --trace trace.txt https://example.com',
+  'curl --stderr err.txt https://example.com',
+  'curl -K config.txt https://example.com',
+  'wget https://example.com',
+  'wget -O out.html https://example.com',
+  'wget -O - -o log.txt https://example.com',
+  'wget -qO- -a log.txt https://example.com',
+  'wget -bO- https://example.com',
+  'wget -O - -e output_document=out.html https://example.com',
+  'wget -O - -O out.html https://example.com',
+  'awk \'BEGIN { "id" | getline x; print x }\'',
+  'awk -i inplace \'{ print }\' file.txt',
+  'awk \'{ system("id") }\' file.txt',
+  'sed \'$e id\' file.txt',
+  'sed -n \'w out.txt\' file.txt',
+  'less -o log.txt file.txt',
+  'rg --pre sh pattern',
+  'rg --hostname-bin=./prog pattern',
+  'hostname --file=/etc/hostname',
+  'hostname -F /etc/hostname',
+  'hostname newname',
+  'curl -w "%output{out.txt}%{http_code}" https://example.com',
+  'curl -sw "%output{out.txt}x" https://example.com',
+  'curl --write-out "%output{out.txt}x" https://example.com',
+  '/tmp/x/cat foo',
+  './cat foo',
+  'bin/ls',
+  'file -C -m magic',
+  'LESSOPEN="|id %s" less file.txt',
+  'cat file.txt > out.txt',
+  'cat $(id)',
+  'rm -rf /',
+];
+
+// 正常的只读用法
+const ALLOWED = [
+  'ls -la',
+  'hostname',
+  'cat file.txt | sort | uniq -c',
+  'sort -k2 -n -r file.txt',
+  'uniq -c in.txt',
+  'uniq -f 1 in.txt',
+  'tree -L 2',
+  'iconv -f gbk -t utf-8 in.txt',
+  'xxd -l 64 in.bin',
+  'xxd -s 16 in.bin',
+  'curl -sSL https://example.com',
+  'curl -H "Accept: application/json" https://example.com',
+  'wget -qO- https://example.com',
+  'wget -O - https://example.com',
+  'LC_ALL=C sort file.txt',
+  'grep -rn foo . 2>/dev/null',
+];
+
+test('拒绝写文件或执行其他程序的命令', () => {
+  for (const command of REJECTED) {
+    assert.ok(checkReadOnlyCommand(command), `应被拒绝: ${command}`);
+  }
+});
+
+test('允许正常的只读命令', () => {
+  for (const command of ALLOWED) {
+    assert.equal(checkReadOnlyCommand(command), null, `应被允许: ${command}`);
+  }
+});
+
+// 需要管理员确认的操作（工作目录在临时目录中，临时目录内的写入无需确认）
+const RISKY = [
+  'rm -rf build',
+  'sudo rm file.txt',
+  'LC_ALL=C /bin/rm file.txt',
+  'ls && kill 1',
+  'npm install left-pad',
+  'python3 -m pip install requests',
+  'npx skills add foo',
+  'git reset --hard HEAD~1',
+  'git push --force',
+  'git clean -fd',
+  'systemctl restart nginx',
+  'chmod -R 777 .',
+  'cp a.txt /etc/a.txt',
+  'mv a.txt /etc/',
+  'mv a.txt existing.txt',
+  'touch /etc/x',
+  'sed -i s/a/b/ /etc/hosts',
+  'echo hi > /etc/motd',
+];
+
+const SAFE = [
+  'ls -la',
+  'cat a.txt | grep foo 2>/dev/null',
+  'cp a.txt b.txt',
+  'mv a.txt new.txt',
+  'mkdir out',
+  'sed -i s/a/b/ a.txt',
+  'echo hi > out.txt',
+  'npm test',
+  'git status',
+];
+
+let cwd;
+before(async () => {
+  cwd = await mkdtemp(join(tmpdir(), 'botk-tools-test-'));
+  await writeFile(join(cwd, 'existing.txt'), '');
+});
+after(async () => { await rm(cwd, { recursive: true, force: true }); });
+
+test('assessRisk: 删除、安装、覆盖和写到工作目录以外的操作需要确认', () => {
+  for (const command of RISKY) {
+    assert.ok(assessRisk('bash', { command }, cwd), `应需要确认: ${command}`);
+  }
+  assert.ok(assessRisk('write', { path: '/etc/passwd' }, cwd));
+  assert.ok(assessRisk('bash', { command: 'cat $(id)' }, cwd));
+});
+
+test('assessRisk: 普通命令和临时目录内的写入无需确认', () => {
+  for (const command of SAFE) {
+    assert.equal(assessRisk('bash', { command }, cwd), null, `应无需确认: ${command}`);
+  }
+  assert.equal(assessRisk('edit', { path: 'notes.md' }, cwd), null);
+  assert.equal(assessRisk('read', { path: '/etc/passwd' }, cwd), null);
+});
@@ -0,0 +1,64 @@
+/**
+ * 上传文件类型识别和过滤
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+// 配置在导入时读取
+process.env.UPLOAD_ALLOWED_TYPES = 'image/*, application/pdf, text/plain, application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+process.env.UPLOAD_DENIED_TYPES = 'image/gif,application/x-msdownload';
+const { sniffMimeType, sniffFile, isTypeAllowed } = await import('../src/upload.js');
+
+const bytes = (...values) => Buffer.from(values);
+
+test('sniffMimeType: 按文件头识别，不看扩展名', () => {
+  assert.equal(sniffMimeType(Buffer.from('%PDF-1.7\n'), 'a.txt'), 'application/pdf');
+  assert.equal(sniffMimeType(bytes(0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a), 'a.jpg'), 'image/png');
+  assert.equal(sniffMimeType(bytes(0xff, 0xd8, 0xff, 0xe0), 'a.png'), 'image/jpeg');
+  assert.equal(sniffMimeType(Buffer.from('RIFF\0\0\0\0WEBPVP8 '), 'a'), 'image/webp');
+  assert.equal(sniffMimeType(Buffer.from('\0\0\0\x18ftypmp42'), 'a.mp4'), 'video/mp4');
+  assert.equal(sniffMimeType(Buffer.from('MZ\x90\0'), 'report.pdf'), 'application/x-msdownload');
+  assert.equal(sniffMimeType(bytes(0x7f, 0x45, 0x4c, 0x46, 2), 'run.sh'), 'application/x-executable');
+});
+
+test('sniffMimeType: zip 和 OLE 容器按扩展名细分为 Office 文档', () => {
+  const zip = bytes(0x50, 0x4b, 0x03, 0x04, 0x14, 0);
+  assert.equal(sniffMimeType(zip, '报告.DOCX'), 'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+  assert.equal(sniffMimeType(zip, 'a.xlsx'), 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  assert.equal(sniffMimeType(zip, 'a.zip'), 'application/zip');
+  assert.equal(sniffMimeType(zip, 'a.pdf'), 'application/zip');
+  assert.equal(sniffMimeType(bytes(0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1), 'a.xls'), 'application/vnd.ms-excel');
+});
+
+test('sniffMimeType: 无法识别时按是否含 0 字节区分文本和二进制', () => {
+  assert.equal(sniffMimeType(Buffer.from('hello,世界\n'), 'a.csv'), 'text/plain');
+  assert.equal(sniffMimeType(Buffer.alloc(0), 'empty'), 'text/plain');
+  assert.equal(sniffMimeType(bytes(1, 2, 0, 3), 'a.bin'), 'application/octet-stream');
+});
+
+test('sniffFile: 只读取文件开头', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'botk-upload-test-'));
+  try {
+    const path = join(dir, 'a.pdf');
+    await writeFile(path, Buffer.concat([Buffer.from('%PDF-1.4\n'), Buffer.alloc(4096)]));
+    assert.equal(await sniffFile(path, 'a.pdf'), 'application/pdf');
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('isTypeAllowed: 白名单支持通配符，黑名单优先', () => {
+  assert.ok(isTypeAllowed('image/png'));
+  assert.ok(isTypeAllowed('Image/JPEG'));
+  assert.ok(isTypeAllowed('application/pdf'));
+  assert.ok(isTypeAllowed('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'));
+  assert.ok(!isTypeAllowed('image/gif'));
+  assert.ok(!isTypeAllowed('application/x-msdownload'));
+  assert.ok(!isTypeAllowed('application/zip'));
+  assert.ok(!isTypeAllowed('application/vnd.openxmlformats-officedocument.wordprocessingml.document'));
+  assert.ok(!isTypeAllowed('application/pdfx'));
+});